@@ -0,0 +1,59 @@
+// boilerplate.js
+
+/*---------------------------------
+Studio Template Boilerplate
+----------------------------------*/
+/**
+ * Studio creates new problems and HTML components from templates whose
+ * instructions often survive into the exported course. Paragraphs, labels,
+ * descriptions, hints and feedback whose whole text matches one of the
+ * boilerplate patterns are left out of the output. A pattern is either a
+ * string (matching the whole text, whitespace collapsed) or a RegExp.
+ */
+
+/**
+ * Instructions from Studio's problem and HTML templates
+ * @type {Array<string|RegExp>}
+ */
+export const STUDIO_BOILERPLATE = [
+  /^You can use this template as a guide to the simple editor markdown and OLX markup/,
+  "Add the question text, or prompt, here. This text is required.",
+  "You can add an optional tip or note related to the prompt like this.",
+  /^You can specify optional feedback /,
+  /^You can add an optional hint like this\.(?: Problems that have a hint include a hint button\b.*)?$/,
+  "If you add more than one hint, a different hint appears each time learners select the hint button.",
+  /^This template is similar to the Text template\./,
+  /^The Raw HTML editor saves your HTML exactly as you enter it\./,
+];
+
+/**
+ * Checks whether a piece of text is template boilerplate
+ * @param {string} text - Text of a paragraph, label, hint, ...
+ * @param {Array<string|RegExp>} [patterns=STUDIO_BOILERPLATE] - Boilerplate patterns
+ * @return {boolean} True when the text matches a pattern
+ */
+export function isBoilerplate(text, patterns = STUDIO_BOILERPLATE) {
+  const clean = String(text ?? "")
+    .replace(/\s+/g, " ")
+    .trim();
+  if (!clean) return false;
+
+  return patterns.some((pattern) =>
+    pattern instanceof RegExp
+      ? pattern.test(clean)
+      : clean === pattern.replace(/\s+/g, " ").trim()
+  );
+}
+
+/**
+ * Reads a boilerplate pattern as given on the command line: "/source/flags"
+ * is a regular expression, anything else a plain string. The g and y flags
+ * are dropped, as they would make test() continue from the last match.
+ * @param {string} value - Pattern as written
+ * @return {string|RegExp} Pattern for isBoilerplate
+ * @throws {SyntaxError} When a regular expression is invalid
+ */
+export function parseBoilerplatePattern(value) {
+  const match = value.match(/^\/(.+)\/([a-z]*)$/);
+  return match ? new RegExp(match[1], match[2].replace(/[gy]/g, "")) : value;
+}
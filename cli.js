@@ -0,0 +1,234 @@
+#!/usr/bin/env node
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { parseArgs } from "util";
+import { convertAll, formatSummary } from "./main.js";
+import { QUESTION_BANK_FORMATS } from "./questionbank.js";
+import { parseBoilerplatePattern, STUDIO_BOILERPLATE } from "./boilerplate.js";
+
+const USAGE = `Usage: olx2md convert <archive-or-dir>... [options]
+
+Converts Open edX (OLX) course exports to Markdown.
+
+Arguments:
+  <archive-or-dir>      A .tar/.tar.gz/.tgz course export, an extracted course folder
+                        or a folder of course export archives (converted in one batch)
+
+Options:
+  -o, --out <dir>       Output directory (default: ./outputcourses)
+  -i, --images <dir>    Image folder, relative to the output directory (default: images)
+  -w, --workdir <dir>   Extract archives into this folder (default: read them in memory)
+  -s, --split <level>   Write one page per "chapter" or "sequential" with an index.md
+                        and SUMMARY.md instead of a single course.md
+  -t, --toc             Insert a table of contents after the course title
+  -f, --flavor <flavor> "liascript" (default) quiz syntax, or "plain" Markdown with
+                        answer feedback in collapsible <details> blocks
+      --no-vertical-titles
+                        Do not render vertical (unit) titles as headings
+      --include-drafts  Include unpublished draft units, marked as drafts
+      --strict          Fail (exit code 1) on any missing file, XML parse error,
+                        unsupported or omitted component instead of converting around it
+  -b, --question-bank <formats>
+                        Also export the problems as a question bank, in a comma
+                        separated list of formats: json, gift (Moodle), qti (QTI 2.1)
+      --boilerplate <pattern>
+                        Also leave out paragraphs, labels, hints and feedback matching
+                        this text, or /regex/flags (repeatable)
+      --keep-boilerplate
+                        Keep the instructions from Studio's problem and HTML templates
+      --no-solutions    Leave out problem solutions (explanations), e.g. for
+                        student-facing exports
+      --prefer-markdown Convert problems from their Studio simple editor markdown
+                        instead of the OLX, when they have any
+  -v, --verbose         Print the course tree and every copied file
+  -q, --quiet           Only print errors
+  -n, --dry-run         Convert without writing anything to disk
+  -h, --help            Show this help
+`;
+
+/*---------------------------------
+Argument Parsing
+----------------------------------*/
+
+/**
+ * Parses the command line arguments into a command and its options
+ * @param {string[]} argv - Arguments without the node executable and script path
+ * @return {Object} Parsed command, input and options
+ */
+export function parseCliArgs(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      out: { type: "string", short: "o", default: "outputcourses" },
+      images: { type: "string", short: "i", default: "images" },
+      workdir: { type: "string", short: "w" },
+      split: { type: "string", short: "s" },
+      toc: { type: "boolean", short: "t", default: false },
+      flavor: { type: "string", short: "f", default: "liascript" },
+      "no-vertical-titles": { type: "boolean", default: false },
+      "include-drafts": { type: "boolean", default: false },
+      strict: { type: "boolean", default: false },
+      "question-bank": { type: "string", short: "b" },
+      boilerplate: { type: "string", multiple: true, default: [] },
+      "keep-boilerplate": { type: "boolean", default: false },
+      "no-solutions": { type: "boolean", default: false },
+      "prefer-markdown": { type: "boolean", default: false },
+      verbose: { type: "boolean", short: "v", default: false },
+      quiet: { type: "boolean", short: "q", default: false },
+      "dry-run": { type: "boolean", short: "n", default: false },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+
+  const [command, ...inputs] = positionals;
+
+  return {
+    command,
+    inputs,
+    help: values.help,
+    outDir: values.out,
+    imagesDir: values.images,
+    workDir: values.workdir,
+    split: values.split ?? null,
+    toc: values.toc,
+    flavor: values.flavor,
+    verticalTitles: !values["no-vertical-titles"],
+    includeDrafts: values["include-drafts"],
+    strict: values.strict,
+    questionBank: values["question-bank"]
+      ? values["question-bank"].split(",").map((format) => format.trim())
+      : [],
+    boilerplate: values.boilerplate,
+    keepBoilerplate: values["keep-boilerplate"],
+    solutions: !values["no-solutions"],
+    preferMarkdown: values["prefer-markdown"],
+    verbosity: values.quiet ? 0 : values.verbose ? 2 : 1,
+    dryRun: values["dry-run"],
+  };
+}
+
+/**
+ * Creates a logger that only prints messages at or below the given verbosity
+ * @param {number} verbosity - 0 = errors only, 1 = progress, 2 = debug output
+ * @return {Object} Logger with info, debug and error functions
+ */
+export function createLogger(verbosity = 1) {
+  return {
+    info: (...args) => verbosity >= 1 && console.log(...args),
+    debug: (...args) => verbosity >= 2 && console.log(...args),
+    error: (...args) => console.error(...args),
+  };
+}
+
+/*---------------------------------
+Entry Point
+----------------------------------*/
+
+/**
+ * Runs the CLI and returns the process exit code
+ * @param {string[]} argv - Arguments without the node executable and script path
+ * @return {Promise<number>} Exit code (0 on success)
+ */
+export async function runCli(argv) {
+  let args;
+  try {
+    args = parseCliArgs(argv);
+  } catch (err) {
+    console.error(`❌ ${err.message}\n`);
+    console.error(USAGE);
+    return 2;
+  }
+
+  if (args.help || !args.command) {
+    console.log(USAGE);
+    return args.help ? 0 : 2;
+  }
+
+  if (args.command !== "convert") {
+    console.error(`❌ Unknown command: ${args.command}\n`);
+    console.error(USAGE);
+    return 2;
+  }
+
+  if (args.split && !["chapter", "sequential"].includes(args.split)) {
+    console.error(`❌ --split must be "chapter" or "sequential"\n`);
+    console.error(USAGE);
+    return 2;
+  }
+
+  if (!["liascript", "plain"].includes(args.flavor)) {
+    console.error(`❌ --flavor must be "liascript" or "plain"\n`);
+    console.error(USAGE);
+    return 2;
+  }
+
+  const unknownFormat = args.questionBank.find(
+    (format) => !QUESTION_BANK_FORMATS[format]
+  );
+  if (unknownFormat) {
+    console.error(
+      `❌ Unknown question bank format: ${unknownFormat} (use ${Object.keys(
+        QUESTION_BANK_FORMATS
+      ).join(", ")})\n`
+    );
+    console.error(USAGE);
+    return 2;
+  }
+
+  let boilerplate;
+  try {
+    boilerplate = [
+      ...(args.keepBoilerplate ? [] : STUDIO_BOILERPLATE),
+      ...args.boilerplate.map(parseBoilerplatePattern),
+    ];
+  } catch (err) {
+    console.error(`❌ Invalid --boilerplate pattern: ${err.message}\n`);
+    console.error(USAGE);
+    return 2;
+  }
+
+  if (args.inputs.length === 0) {
+    console.error("❌ Missing <archive-or-dir> to convert\n");
+    console.error(USAGE);
+    return 2;
+  }
+
+  const log = createLogger(args.verbosity);
+
+  const results = await convertAll(
+    args.inputs.map((input) => path.resolve(input)),
+    {
+      outDir: args.outDir,
+      imagesDir: args.imagesDir,
+      workDir: args.workDir && path.resolve(args.workDir),
+      split: args.split,
+      toc: args.toc,
+      flavor: args.flavor,
+      verticalTitles: args.verticalTitles,
+      includeDrafts: args.includeDrafts,
+      strict: args.strict,
+      questionBank: args.questionBank,
+      boilerplate,
+      solutions: args.solutions,
+      preferMarkdown: args.preferMarkdown,
+      dryRun: args.dryRun,
+      log,
+    }
+  );
+
+  if (results.length > 1 || results.some((r) => !r.ok))
+    console.log(`\n${formatSummary(results)}`);
+
+  return results.every((r) => r.ok) ? 0 : 1;
+}
+
+// Only run when executed directly (also through the npm bin symlink)
+const isEntryPoint =
+  process.argv[1] &&
+  fs.realpathSync(process.argv[1]) === fileURLToPath(import.meta.url);
+
+if (isEntryPoint) {
+  process.exitCode = await runCli(process.argv.slice(2));
+}
@@ -1,86 +1,72 @@
-import fs from "fs";
 import path from "path";
-import { XMLParser } from "fast-xml-parser";
-
-// XMLParser setup
+import { XMLParser, XMLValidator } from "fast-xml-parser";
+import { nodeFs } from "./coursefs.js";
+import { reportIssue } from "./report.js";
+import {
+  elementChildren,
+  isElement,
+  parseXmlDom,
+  rootElement,
+  serializeXmlDom,
+} from "./orderedxml.js";
+
+// Keyed parser for the problemData of problem nodes
 const parser = new XMLParser({
   ignoreAttributes: false,
   attributeNamePrefix: "",
 });
 
-// Reads the XML file and parses it into a JS object
-export function parseXmlFile(filePath) {
-  try {
-    const xmlContent = fs.readFileSync(filePath, "utf-8");
-    return parser.parse(xmlContent);
-  } catch (error) {
-    console.error(`Error parsing ${filePath}:`, error.message);
-    return null;
-  }
-}
-
-// Helper function to ensure XML files are always in an array
-export function ensureArray(item) {
-  if (!item) return [];
-  return Array.isArray(item) ? item : [item];
-}
-
-// Collect assets that share the same base name as the XML file
-export function collectAssets(filePath) {
-  const dir = path.dirname(filePath);
-  const baseName = path.basename(filePath, ".xml");
-
-  let assets = [];
+// Component types a vertical can hold
+const COMPONENT_TYPES = ["problem", "html", "video", "discussion"];
 
+// Reads the XML file and parses it into the ordered DOM, returning its root
+// element. Malformed XML is still parsed leniently, but recorded in the
+// report (if one is given).
+export function parseXmlDomFile(filePath, fs = nodeFs, report = null) {
   try {
-    const files = fs.readdirSync(dir);
+    const xmlContent = fs.read(filePath, "utf-8");
 
-    files.forEach((file) => {
-      const fullPath = path.join(dir, file);
-      const fileBaseName = path.basename(file, path.extname(file));
-
-      if (file.endsWith(".xml")) return;
-
-      if (fileBaseName === baseName) {
-        const ext = path.extname(file);
-        let type = "asset";
-
-        if (ext === ".html") type = "htmlContent";
-        else if ([".jpg", ".png"].includes(ext)) type = "image";
+    const validation = XMLValidator.validate(xmlContent);
+    if (validation !== true) {
+      const { msg, line } = validation.err;
+      reportIssue(report, "parse-error", `${msg} (line ${line})`, {
+        file: filePath,
+      });
+    }
 
-        assets.push({
-          type: type,
-          file: fullPath,
-          display_name: file,
-        });
-      }
-    });
+    return rootElement(parseXmlDom(xmlContent));
   } catch (error) {
-    console.warn(`Error reading directory ${dir}:`, error.message);
+    reportIssue(report, "parse-error", error.message, { file: filePath });
+    return null;
   }
-
-  return assets;
 }
 
 // Build the object-based tree
-export function buildTree(filePath, type) {
-  if (!fs.existsSync(filePath) || !filePath.endsWith(".xml")) {
-    console.warn(`File does not exist: ${filePath}`);
+// options.fs is the course file system to read from (defaults to disk)
+// options.report collects missing files, parse errors and unsupported
+// components (see report.js) instead of printing them
+export function buildTree(filePath, type, options = {}) {
+  const fs = options.fs ?? nodeFs;
+
+  if (!fs.exists(filePath) || !filePath.endsWith(".xml")) {
+    reportIssue(options.report, "missing-file", `Missing ${type} file`, {
+      file: filePath,
+      url_name: path.basename(filePath, ".xml"),
+    });
     return null;
   }
 
-  const obj = parseXmlFile(filePath);
-  if (!obj) return null;
+  const element = parseXmlDomFile(filePath, fs, options.report);
+  if (!element) return null;
 
   const dir = path.dirname(filePath);
-  const parentDir = path.dirname(dir);
 
   // About node (disconnected folder handling)
-  if (type === "about" && obj.about) {
+  if (type === "about" && element.tag === "about") {
     const overviewHtmlPath = path.join(dir, "course", "overview.html");
     let children = [];
 
-    if (fs.existsSync(overviewHtmlPath)) {
+    if (fs.exists(overviewHtmlPath)) {
       children.push({
         type: "htmlContent",
         file: overviewHtmlPath,
@@ -90,21 +76,189 @@ export function buildTree(filePath, type) {
 
     return {
       type: "about",
-      display_name: obj.about.display_name || "About",
+      display_name: element.attrs.display_name || "About",
       file: filePath,
       children: children,
     };
   }
 
+  return buildNode(element, filePath, options);
+}
+
+// Checks whether a child element is a pointer to its own file
+// (<problem url_name="..."/>) rather than a definition written inline
+export function isPointer(element) {
+  const attrNames = Object.keys(element.attrs);
+  return (
+    attrNames.length === 1 &&
+    attrNames[0] === "url_name" &&
+    element.children.every((child) => !isElement(child) && !child.text.trim())
+  );
+}
+
+// Builds the child nodes of the given types, following pointers to their
+// own files and building inline definitions in place. With keepUnsupported
+// set, children of any other type become "unsupported" placeholder nodes
+// instead of being dropped.
+function buildChildren(element, types, filePath, options, keepUnsupported) {
+  const parentDir = path.dirname(path.dirname(filePath));
+
+  return elementChildren(element)
+    .filter((child) => keepUnsupported || types.includes(child.tag))
+    .map((child) => {
+      if (!types.includes(child.tag))
+        return unsupportedNode(child, filePath, options);
+
+      if (!isPointer(child)) return buildNode(child, filePath, options, true);
+
+      const childPath = resolvePointer(child, parentDir, options);
+      return buildTree(childPath, child.tag, options);
+    })
+    .filter(Boolean);
+}
+
+// Path of the file a pointer refers to. With drafts included, a draft version
+// (drafts/<type>/<url_name>.xml) wins over the published one.
+function resolvePointer(element, parentDir, options) {
+  const fs = options.fs ?? nodeFs;
+  const fileName = element.attrs.url_name + ".xml";
+
+  if (!options.drafts) return path.join(parentDir, element.tag, fileName);
+
+  const candidates = [
+    path.join(options.drafts.dir, element.tag, fileName),
+    path.join(path.dirname(options.drafts.dir), element.tag, fileName),
+  ];
+  return candidates.find((candidate) => fs.exists(candidate)) ?? candidates[1];
+}
+
+// Checks whether a file comes from the drafts/ folder of the export
+function isDraftFile(filePath, options) {
+  return Boolean(
+    options.drafts && filePath.startsWith(options.drafts.dir + path.sep)
+  );
+}
+
+// Indexes the draft verticals of a course by the sequential they belong to.
+// Each draft records its parent as parent_url="...+type@sequential+block@<id>"
+// and its position as index_in_children_list. Drafts that cannot be read or
+// placed are recorded in the report (if one is given).
+export function loadDrafts(courseRoot, fs = nodeFs, report = null) {
+  const dir = path.join(courseRoot, "drafts");
+  const bySequential = new Map();
+
+  const verticalDir = path.join(dir, "vertical");
+  if (fs.isDirectory(verticalDir)) {
+    fs.readdir(verticalDir)
+      .filter((file) => file.endsWith(".xml"))
+      .forEach((file) => {
+        const filePath = path.join(verticalDir, file);
+        const vertical = parseXmlDomFile(filePath, fs, report);
+        if (!vertical) return;
+        const parentId = vertical.attrs.parent_url?.split("block@").pop();
+        if (!parentId) {
+          reportIssue(report, "parse-error", "Draft unit has no parent_url", {
+            file: filePath,
+          });
+          return;
+        }
+
+        if (!bySequential.has(parentId)) bySequential.set(parentId, []);
+        bySequential.get(parentId).push({
+          url_name: path.basename(file, ".xml"),
+          index: parseInt(vertical.attrs.index_in_children_list, 10),
+          file: filePath,
+        });
+      });
+  }
+
+  bySequential.forEach((drafts) => drafts.sort((a, b) => a.index - b.index));
+  return { dir, bySequential };
+}
+
+// Placeholder node for an XBlock type the converter does not handle
+// (drag-and-drop, LTI, openassessment, ...), so it is not lost silently
+function unsupportedNode(element, filePath, options) {
+  const fs = options.fs ?? nodeFs;
+  const pointer = isPointer(element);
+
+  // Pointers keep their title in their own file
+  const childPath = pointer
+    ? path.join(
+        path.dirname(path.dirname(filePath)),
+        element.tag,
+        element.attrs.url_name + ".xml"
+      )
+    : null;
+  const definition =
+    childPath && fs.exists(childPath)
+      ? parseXmlDomFile(childPath, fs, options.report)
+      : element;
+
+  const node = {
+    type: "unsupported",
+    tag: element.tag,
+    url_name: element.attrs.url_name || null,
+    display_name: definition?.attrs.display_name || null,
+    file: pointer ? childPath : filePath,
+    ...(!pointer && { inline: true }),
+    children: [],
+  };
+
+  options.report?.add("unsupported", "Unsupported component", {
+    file: node.file,
+    tag: node.tag,
+    url_name: node.url_name,
+  });
+  return node;
+}
+
+// Counts the unsupported nodes in a tree by XBlock type, e.g. { lti: 2 }
+export function summarizeUnsupported(tree) {
+  const counts = {};
+  const visit = (node) => {
+    if (node.type === "unsupported")
+      counts[node.tag] = (counts[node.tag] ?? 0) + 1;
+    (node.children ?? []).forEach(visit);
+  };
+  if (tree) visit(tree);
+  return counts;
+}
+
+// Build the tree node for an element, either the root of its own file or a
+// definition written inline in filePath
+function buildNode(element, filePath, options = {}, inline = false) {
+  const fs = options.fs ?? nodeFs;
+  const attrs = element.attrs;
+
+  const dir = path.dirname(filePath);
+  const parentDir = path.dirname(dir);
+
+  // Inline definitions may carry a url_name, files are named after theirs
+  const url_name = inline
+    ? attrs.url_name || null
+    : path.basename(filePath, ".xml");
+  const base = {
+    display_name: attrs.display_name || null,
+    file: filePath,
+    url_name,
+    ...(inline && { inline: true }),
+    ...(isDraftFile(filePath, options) && { draft: true }),
+  };
+
+  // Issues found below chapters, sequentials and verticals are reported under
+  // their title (chapter › sequential › vertical)
+  const childOptions = options.report
+    ? { ...options, report: options.report.at(base.display_name || url_name) }
+    : options;
+
   // Course node
-  if (obj.course) {
-    const chapters = ensureArray(obj.course.chapter);
+  if (element.tag === "course") {
     let children = [];
 
-    const courseRootDir = path.dirname(dir); // Go up one level to /extraction2/course
-    const overviewPath = path.join(courseRootDir, "about", "overview.html");
+    const overviewPath = path.join(parentDir, "about", "overview.html");
 
-    if (fs.existsSync(overviewPath)) {
+    if (fs.exists(overviewPath)) {
       const aboutTree = {
         type: "about",
         display_name: "About",
@@ -120,177 +274,214 @@ export function buildTree(filePath, type) {
     }
 
     // Add chapters
-    children.push(
-      ...chapters
-        .map((ch) => {
-          const chapterPath = path.join(
-            parentDir,
-            "chapter",
-            ch.url_name + ".xml"
-          );
-          return buildTree(chapterPath, "chapter");
-        })
-        .filter(Boolean)
-    );
+    children.push(...buildChildren(element, ["chapter"], filePath, options));
 
     return {
       type: "course",
-      display_name: obj.course.display_name,
-      file: filePath,
+      ...base,
+      display_name: attrs.display_name,
       children: children,
     };
   }
 
   // Chapter node
-  if (obj.chapter) {
-    const sequentials = ensureArray(obj.chapter.sequential);
+  if (element.tag === "chapter") {
     return {
       type: "chapter",
-      display_name: obj.chapter.display_name || null,
-      file: filePath,
-      children: sequentials
-        .map((seq) => {
-          const sequentialPath = path.join(
-            parentDir,
-            "sequential",
-            seq.url_name + ".xml"
-          );
-          return buildTree(sequentialPath, "sequential");
-        })
-        .filter(Boolean),
+      ...base,
+      children: buildChildren(element, ["sequential"], filePath, childOptions),
     };
   }
 
   // Sequential node
-  if (obj.sequential) {
-    const verticals = ensureArray(obj.sequential.vertical);
-
-    const verticalContainers = verticals
-      .map((vert) => {
-        const verticalPath = path.join(
-          parentDir,
-          "vertical",
-          vert.url_name + ".xml"
-        );
-        const verticalNode = buildTree(verticalPath, "vertical");
-
-        if (verticalNode && verticalNode.children) {
-          return {
-            type: "vertical-container",
-            display_name: verticalNode.display_name,
-            url_name: vert.url_name,
-            children: verticalNode.children,
-          };
-        }
-        return null;
-      })
-      .filter(Boolean);
+  if (element.tag === "sequential") {
+    const verticals = buildChildren(
+      element,
+      ["vertical"],
+      filePath,
+      childOptions
+    );
+
+    // Draft verticals not yet in the published sequential are spliced in at
+    // their recorded position (drafts of published ones were resolved above)
+    const drafts =
+      (!inline && options.drafts?.bySequential.get(url_name)) || [];
+    drafts.forEach((draft) => {
+      if (verticals.some((vertical) => vertical.url_name === draft.url_name))
+        return;
+      const verticalNode = buildTree(draft.file, "vertical", childOptions);
+      if (!verticalNode) return;
+      const index = Number.isNaN(draft.index) ? verticals.length : draft.index;
+      verticals.splice(Math.min(index, verticals.length), 0, verticalNode);
+    });
+
+    const verticalContainers = verticals.map((verticalNode) => ({
+      type: "vertical-container",
+      display_name: verticalNode.display_name,
+      file: verticalNode.file,
+      url_name: verticalNode.url_name,
+      ...(verticalNode.inline && { inline: true }),
+      ...(verticalNode.draft && { draft: true }),
+      children: verticalNode.children,
+    }));
 
     return {
       type: "sequential",
-      display_name: obj.sequential.display_name || null,
-      file: filePath,
+      ...base,
       children: verticalContainers,
     };
   }
 
   // Vertical node
-  if (obj.vertical) {
-    const problems = ensureArray(obj.vertical.problem);
-    const htmls = ensureArray(obj.vertical.html);
-    const videos = ensureArray(obj.vertical.video);
-
+  if (element.tag === "vertical") {
+    // Components are read from the ordered DOM so they keep the order they
+    // were authored in (the keyed form groups them by tag name)
     return {
       type: "vertical",
-      display_name: obj.vertical.display_name || null,
-      file: filePath,
-      children: [
-        ...problems
-          .map((prob) => {
-            const problemPath = path.join(
-              parentDir,
-              "problem",
-              prob.url_name + ".xml"
-            );
-            return fs.existsSync(problemPath)
-              ? buildTree(problemPath, "problem")
-              : null;
-          })
-          .filter(Boolean),
-
-        ...htmls
-          .map((html) => {
-            const htmlPath = path.join(
-              parentDir,
-              "html",
-              html.url_name + ".xml"
-            );
-            return fs.existsSync(htmlPath) ? buildTree(htmlPath, "html") : null;
-          })
-          .filter(Boolean),
-
-        ...videos
-          .map((video) => {
-            const videoPath = path.join(
-              parentDir,
-              "video",
-              video.url_name + ".xml"
-            );
-            return fs.existsSync(videoPath)
-              ? buildTree(videoPath, "video")
-              : null;
-          })
-          .filter(Boolean),
-      ],
+      ...base,
+      children: buildChildren(
+        element,
+        COMPONENT_TYPES,
+        filePath,
+        childOptions,
+        true
+      ),
     };
   }
 
   // Problem node
-  if (obj.problem) {
+  if (element.tag === "problem") {
+    const xml = serializeXmlDom([element]);
     return {
       type: "problem",
-      display_name: obj.problem.display_name || null,
-      file: filePath,
-      problemData: obj.problem,
+      ...base,
+      problemData: parser.parse(xml).problem,
+      // Inline problems are rendered from their own markup, not the file
+      ...(inline && { xml }),
       children: [],
     };
   }
 
   // HTML node
-  if (obj.html) {
-    const baseName = obj.html.filename || path.basename(filePath, ".xml");
-    const htmlFilePath = path.join(dir, baseName + ".html");
+  if (element.tag === "html") {
+    const hasContent = element.children.some(
+      (child) => isElement(child) || child.text.trim()
+    );
 
     let children = [];
 
-    if (fs.existsSync(htmlFilePath)) {
+    if (hasContent) {
+      // HTML written straight into the element (often as CDATA)
       children.push({
         type: "htmlContent",
-        file: htmlFilePath,
-        display_name: obj.html.display_name || baseName,
+        html: serializeXmlDom(element.children, { html: true }),
+        display_name: attrs.display_name || url_name,
       });
+    } else if (!inline || attrs.filename) {
+      const baseName = attrs.filename || path.basename(filePath, ".xml");
+      const htmlDir = inline ? path.join(parentDir, "html") : dir;
+      const htmlFilePath = path.join(htmlDir, baseName + ".html");
+
+      if (fs.exists(htmlFilePath)) {
+        children.push({
+          type: "htmlContent",
+          file: htmlFilePath,
+          display_name: attrs.display_name || baseName,
+        });
+      } else {
+        reportIssue(options.report, "missing-file", "Missing html file", {
+          file: htmlFilePath,
+          url_name,
+        });
+      }
     }
 
     return {
       type: "html",
-      display_name: obj.html.display_name || null,
-      file: filePath,
+      ...base,
       children,
     };
   }
 
   // Video node
-  if (obj.video) {
+  if (element.tag === "video") {
     return {
       type: "video",
-      display_name: obj.video.display_name || null,
-      file: filePath,
-      videoData: obj.video,
+      ...base,
+      videoData: attrs,
       children: [],
     };
   }
 
+  // Discussion node
+  if (element.tag === "discussion") {
+    return {
+      type: "discussion",
+      ...base,
+      discussionData: attrs,
+      children: [],
+    };
+  }
+
+  return null;
+}
+
+// Finds the folder holding the exported course (the one with course.xml in it)
+export function findCourseRoot(dir, fs = nodeFs) {
+  if (fs.exists(path.join(dir, "course.xml"))) return dir;
+
+  // Archives exported from Studio wrap everything in a course/ folder
+  const nested = path.join(dir, "course");
+  if (fs.exists(path.join(nested, "course.xml"))) return nested;
+
   return null;
 }
 
-export default { buildTree };
+// Reads the root course.xml pointer (<course url_name="S2_2025" org="..." course="..."/>)
+export function readCoursePointer(courseRoot, fs = nodeFs) {
+  const pointerPath = path.join(courseRoot, "course.xml");
+  const pointer = parseXmlDomFile(pointerPath, fs);
+  if (pointer?.tag !== "course") return null;
+
+  return {
+    file: pointerPath,
+    org: pointer.attrs.org || null,
+    course: pointer.attrs.course || null,
+    run: pointer.attrs.url_name || null,
+  };
+}
+
+// Load a course starting from the extracted archive root, following the
+// root course.xml pointer to the course run file course/<url_name>.xml
+// options are passed on to buildTree
+export function loadCourse(dir, options = {}) {
+  const fs = options.fs ?? nodeFs;
+  const courseRoot = findCourseRoot(dir, fs);
+  if (!courseRoot) return null;
+
+  const pointer = readCoursePointer(courseRoot, fs);
+  if (!pointer) return null;
+
+  // Older exports keep the whole course inline in course.xml
+  const runPath = pointer.run
+    ? path.join(courseRoot, "course", pointer.run + ".xml")
+    : pointer.file;
+
+  // options.includeDrafts also reads the unpublished drafts/ folder
+  const drafts = options.includeDrafts
+    ? loadDrafts(courseRoot, fs, options.report)
+    : null;
+
+  const tree = buildTree(runPath, "course", { ...options, drafts });
+  if (!tree) return null;
+
+  return {
+    ...tree,
+    root: courseRoot,
+    org: pointer.org,
+    course: pointer.course,
+    run: pointer.run,
+  };
+}
+
+export default { buildTree, loadCourse };
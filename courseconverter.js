@@ -1,8 +1,32 @@
 // courseconverter.js
-import fs from "fs";
 import path from "path";
 import { NodeHtmlMarkdown } from "node-html-markdown";
-import { XMLParser } from "fast-xml-parser";
+import { nodeFs } from "./coursefs.js";
+import { reportIssue } from "./report.js";
+import { RESPONSE_TAGS } from "./questionbank.js";
+import { isBoilerplate, STUDIO_BOILERPLATE } from "./boilerplate.js";
+import { problemSource } from "./problemmarkdown.js";
+import { translateWithMath } from "./mathjax.js";
+import {
+  isPlainNumber,
+  numericRange,
+  readTolerance,
+  tidyNumber,
+} from "./numericanswer.js";
+import {
+  elementChildren,
+  escapeAttribute,
+  isElement,
+  isTrue,
+  parseXmlDom,
+  readChoiceHints,
+  readOptions,
+  readTextAnswers,
+  regexpExample,
+  rootElement,
+  serializeXmlDom,
+  textOf,
+} from "./orderedxml.js";
 
 /*---------------------------------
 Transformer Factory
@@ -11,13 +35,15 @@ Transformer Factory
  * Creates a transformer function that recursively processes nodes using provided handlers
  * @param {Object} handlers - Object mapping node types to handler functions
  * @param {Function} handlers._ - Default handler for unrecognized node types
+ * @param {Object} [context={}] - Render context passed to every handler as the fourth argument
  * @return {Function} Transform function that processes nodes recursively with (node, depth) parameters
  */
-const makeTransformer = (handlers) =>
+const makeTransformer = (handlers, context = {}) =>
   function transform(node, depth = 0) {
     if (!node) return "";
-    const fn = handlers[node.type] ?? handlers._;
-    return fn(node, transform, depth);
+    // Course tree nodes have a type, ordered DOM elements (problems) a tag
+    const fn = handlers[node.type ?? node.tag] ?? handlers._;
+    return fn(node, transform, depth, context);
   };
 
 /*---------------------------------
@@ -78,17 +104,34 @@ HTML Handlers for NodeHtmlMarkdown
 ----------------------------------*/
 
 /**
- * HTML handlers configuration for NodeHtmlMarkdown
+ * Handler configuration for blocks that Studio templates fill with
+ * instructions - blocks whose text is boilerplate are left out
+ * @param {Function} format - Formats the trimmed block content
+ * @param {Array<string|RegExp>} boilerplate - Boilerplate patterns (see boilerplate.js)
+ * @return {Object} Handler configuration
+ */
+const templateBlock = (format, boilerplate) => ({
+  postprocess: ({ node, content }) =>
+    isBoilerplate(node.textContent, boilerplate) ? "" : format(content.trim()),
+});
+
+/**
+ * Creates the HTML handlers configuration for NodeHtmlMarkdown
  * Defines how HTML elements are converted to markdown
- * @type {Object}
+ * @param {string} [imagesPath="../images"] - Folder image links point to, relative to the Markdown file
+ * @param {Array<string|RegExp>} [boilerplate=STUDIO_BOILERPLATE] - Template text to leave out
+ * @return {Object} HTML handlers configuration
  */
-const htmlHandlers = {
+const createHtmlHandlers = (
+  imagesPath = "../images",
+  boilerplate = STUDIO_BOILERPLATE
+) => ({
   h1: { postprocess: ({ content }) => `**${content.trim()}\n\n` },
   h2: { postprocess: ({ content }) => `**${content.trim()}**\n\n` },
   h3: { postprocess: ({ content }) => `**${content.trim()}**\n\n` },
-  p: { postprocess: ({ content }) => `${content.trim()}\n\n` },
-  label: { postprocess: ({ content }) => `${content.trim()}\n\n` },
-  description: { postprocess: ({ content }) => ` ${content.trim()}\n\n` },
+  p: templateBlock((text) => `${text}\n\n`, boilerplate),
+  label: templateBlock((text) => `${text}\n\n`, boilerplate),
+  description: templateBlock((text) => ` ${text}\n\n`, boilerplate),
   ul,
   ol,
   strong,
@@ -113,10 +156,16 @@ const htmlHandlers = {
       // Extract just the filename for the images folder reference
       const imageName = path.basename(cleanSrc);
 
-      return `![${alt}](../images/${imageName})\n\n`;
+      return `![${alt}](${imagesPath}/${imageName})\n\n`;
     },
   },
-};
+});
+
+/**
+ * HTML handlers configuration using the default images folder
+ * @type {Object}
+ */
+const htmlHandlers = createHtmlHandlers();
 
 /**
  * NodeHtmlMarkdown instance configured with custom handlers
@@ -125,602 +174,1086 @@ const htmlHandlers = {
 export const nhm = new NodeHtmlMarkdown({}, htmlHandlers);
 
 /*---------------------------------
-XML Parser Configuration
+Problem Text
 ----------------------------------*/
+/**
+ * Problems are rendered from the ordered DOM (see orderedxml.js) so that
+ * prompts, inputs and hints come out in the order they were authored. The
+ * text between the CAPA elements is HTML and goes through the same
+ * HTML-to-Markdown pipeline as HTML components, MathJax math included.
+ */
 
 /**
- * XML parser instance with configuration for processing course XML files
- * @type {XMLParser}
+ * HTML elements that can appear in problem text; any other element is a
+ * CAPA element rendered by the xmlhandlers
+ * @type {Array<string>}
  */
-const xmlParser = new XMLParser({
-  ignoreAttributes: false,
-  attributeNamePrefix: "",
-  textNodeName: "#text",
-  parseAttributeValue: true,
-  trimValues: true,
-});
+const HTML_TAGS = [
+  "a",
+  "abbr",
+  "b",
+  "blockquote",
+  "br",
+  "caption",
+  "center",
+  "cite",
+  "code",
+  "dd",
+  "del",
+  "div",
+  "dl",
+  "dt",
+  "em",
+  "figcaption",
+  "figure",
+  "font",
+  "h1",
+  "h2",
+  "h3",
+  "h4",
+  "h5",
+  "h6",
+  "hr",
+  "i",
+  "iframe",
+  "img",
+  "ins",
+  "kbd",
+  "li",
+  "ol",
+  "p",
+  "pre",
+  "q",
+  "s",
+  "section",
+  "small",
+  "span",
+  "strike",
+  "strong",
+  "sub",
+  "sup",
+  "table",
+  "tbody",
+  "td",
+  "tfoot",
+  "th",
+  "thead",
+  "tr",
+  "tt",
+  "u",
+  "ul",
+  "var",
+];
+
+/**
+ * Checks whether an element is MathJax math (<script type="math/tex">)
+ * rather than a grading script
+ * @param {Object} node - Ordered DOM element
+ * @return {boolean} True for math scripts
+ */
+const isMathScript = (node) =>
+  node.tag === "script" && /^math\/tex\b/i.test(node.attrs.type ?? "");
+
+/**
+ * Checks whether an ordered DOM node is problem text (text, HTML or math)
+ * that holds no CAPA elements, so it can go to the HTML converter as a whole
+ * @param {Object} node - Ordered DOM node
+ * @return {boolean} True for problem text
+ */
+const isProblemText = (node) =>
+  !isElement(node) ||
+  isMathScript(node) ||
+  (HTML_TAGS.includes(node.tag) && node.children.every(isProblemText));
+
+/**
+ * Converts problem text to Markdown through the HTML converter, which also
+ * leaves out template boilerplate paragraphs
+ * @param {Array<Object>} nodes - Ordered DOM nodes (text and HTML elements)
+ * @param {Object} [context={}] - XML context (context.nhm converts the HTML)
+ * @return {string} Trimmed Markdown, "" when there is no text
+ */
+const textToMarkdown = (nodes, context = {}) => {
+  const html = serializeXmlDom(nodes, { html: true }).trim();
+  return html ? translateWithMath(context.nhm ?? nhm, html).trim() : "";
+};
+
+/**
+ * Converts problem text to Markdown on a single line (choices, hints)
+ * @param {Array<Object>} nodes - Ordered DOM nodes (text and HTML elements)
+ * @param {Object} [context={}] - XML context
+ * @return {string} Markdown without line breaks
+ */
+const inlineMarkdown = (nodes, context = {}) =>
+  textToMarkdown(nodes, context).replace(/\s*\n\s*/g, " ");
+
+/*---------------------------------
+Answer Feedback
+----------------------------------*/
+
+/**
+ * Text of a choice or option, without the hints written inside it
+ * @param {Object} choice - choice or option element
+ * @param {Object} [context={}] - XML context
+ * @return {string} Choice text as inline Markdown
+ */
+const choiceText = (choice, context = {}) =>
+  inlineMarkdown(
+    choice.children.filter(
+      (child) => !["choicehint", "optionhint"].includes(child.tag)
+    ),
+    context
+  );
+
+/**
+ * Plain text name of a choice or option, for the feedback lines (which
+ * already set it in bold)
+ * @param {Object} choice - choice or option element
+ * @return {string} Choice text without markup or hints
+ */
+const choiceName = (choice) => textOf(choice, ["choicehint", "optionhint"]);
+
+/**
+ * Reads the feedback authored on the choices of a group: <choicehint> (or
+ * <optionhint> in dropdowns) inside each choice, and <compoundhint> for
+ * combinations of checkbox choices (value="A C" names choices by letter)
+ * @param {Array<Object>} choices - choice/option elements
+ * @param {Array<Object>} [compoundHints=[]] - compoundhint elements
+ * @param {Object} [context={}] - XML context (boilerplate feedback is left out)
+ * @return {Array<Object>} Feedback entries ({ when, choice, text })
+ */
+const readFeedback = (choices, compoundHints = [], context = {}) => {
+  const entries = choices.flatMap((choice) =>
+    readChoiceHints(choice).map(({ hint, selected }) => ({
+      when: selected ? "selected" : "cleared",
+      choice: choiceName(choice),
+      text: inlineMarkdown(hint.children, context),
+    }))
+  );
+
+  compoundHints.forEach((hint) => {
+    const letters = (hint.attrs.value ?? "").trim().split(/\s+/);
+    entries.push({
+      when: "combination",
+      choice: letters
+        .map((letter) => {
+          const choice = choices[letter.charCodeAt(0) - 65];
+          return (choice && choiceName(choice)) || letter;
+        })
+        .join(" + "),
+      text: inlineMarkdown(hint.children, context),
+    });
+  });
+
+  return entries.filter(
+    (entry) => entry.text && !isBoilerplate(entry.text, context.boilerplate)
+  );
+};
+
+/**
+ * Renders the feedback entries as a list, one line per choice
+ * @param {Array<Object>} entries - Feedback entries from readFeedback
+ * @return {string} Markdown list
+ */
+const feedbackList = (entries) => {
+  const phrases = {
+    selected: "When you select",
+    cleared: "When you leave out",
+    combination: "When you select exactly",
+  };
+  return entries
+    .map(
+      (entry) => `- ${phrases[entry.when]} **${entry.choice}**: ${entry.text}`
+    )
+    .join("\n");
+};
+
+/**
+ * Renders the feedback and solutions of a question after it. LiaScript shows
+ * a block fenced by a row of stars once the quiz is answered; plain Markdown
+ * gets a collapsible <details> block per section instead.
+ * @param {Object} answers - What was collected for the question
+ * @param {Array<Object>} [answers.feedback=[]] - Feedback entries from readFeedback
+ * @param {Array<string>} [answers.explanations=[]] - Markdown of its <solution> blocks
+ * @param {string} [flavor="liascript"] - "liascript" or "plain"
+ * @return {string} Answer block, or "" when there is nothing to show
+ */
+const answerBlock = (
+  { feedback = [], explanations = [] },
+  flavor = "liascript"
+) => {
+  const sections = [
+    ...(feedback.length ? [["Feedback", feedbackList(feedback)]] : []),
+    ...explanations.map((explanation) => ["Explanation", explanation]),
+  ];
+  if (sections.length === 0) return "";
+
+  if (flavor === "plain")
+    return sections
+      .map(
+        ([title, body]) =>
+          `<details>\n<summary>${title}</summary>\n\n${body}\n\n</details>\n`
+      )
+      .join("\n");
+
+  const fence = "*".repeat(40);
+  const body = sections
+    .map(([title, text]) => `**${title}**\n\n${text}`)
+    .join("\n\n");
+  return `${fence}\n\n${body}\n\n${fence}\n`;
+};
+
+/**
+ * Adds feedback entries to the problem being rendered, so the block comes
+ * after the whole quiz (hints included); outside a problem it is rendered
+ * right away
+ * @param {Array<Object>} entries - Feedback entries from readFeedback
+ * @param {Object} [context={}] - XML context (context.feedback collects entries)
+ * @return {string} Feedback block to render in place, or ""
+ */
+const addFeedback = (entries, context = {}) => {
+  if (context.feedback) {
+    context.feedback.push(...entries);
+    return "";
+  }
+  const block = answerBlock({ feedback: entries }, context.flavor);
+  return block && `\n${block}`;
+};
+
+/**
+ * Appends the answer block of a quiz (feedback and solutions) after its Markdown
+ * @param {string} content - Markdown of the quiz (and its hints)
+ * @param {Object} answers - Feedback and solutions collected for it
+ * @param {string} [flavor="liascript"] - "liascript" or "plain"
+ * @return {string} Markdown followed by the answer block, if any
+ */
+const appendAnswers = (content, answers, flavor = "liascript") => {
+  const block = answerBlock(answers, flavor);
+  if (!block) return content;
+
+  // LiaScript only attaches the star block when it directly follows the quiz
+  const separator = flavor === "plain" ? "\n\n" : "\n";
+  return `${content.trimEnd()}${separator}${block}`;
+};
+
+/*---------------------------------
+Numerical Answers
+----------------------------------*/
+
+/**
+ * Notes that an answer cannot be checked in the Markdown
+ * @param {string} reason - Why, and what to check by hand
+ * @return {string} Blockquote shown after the question
+ */
+const manualGrading = (reason) => `> **Manual grading:** ${reason}\n`;
+
+/**
+ * Describes an accepted range, e.g. "95 ≤ answer ≤ 105"
+ * @param {Object} range - Range from numericRange
+ * @return {string} Readable range
+ */
+const describeRange = (range) =>
+  range.min === range.max
+    ? `answer = ${range.min}`
+    : `${range.min} ${range.minInclusive ? "≤" : "<"} answer ${
+        range.maxInclusive ? "≤" : "<"
+      } ${range.max}`;
+
+/**
+ * Renders the answer of a numerical question. Plain numbers without a
+ * tolerance stay a simple [[answer]]; tolerances, ranges and formulas get a
+ * LiaScript script that checks the input against the accepted range, or the
+ * range written out in plain Markdown.
+ * @param {string|number} answer - Answer as written in the OLX
+ * @param {Object|null} [tolerance=null] - Tolerance from readTolerance
+ * @param {string} [flavor="liascript"] - "liascript" or "plain"
+ * @return {string} Markdown for the answer, or a manual grading note when
+ *   the answer is computed by a script ("$answer")
+ */
+const numericAnswer = (answer, tolerance = null, flavor = "liascript") => {
+  const written = String(answer ?? "").trim();
+  const range = numericRange(written, tolerance);
+
+  // Answers computed by a grading script ($variables) cannot be checked here
+  if (!range)
+    return manualGrading(
+      "the expected number is computed by a script in edX, so check answers by hand."
+    );
+
+  if (isPlainNumber(written) && range.min === range.max)
+    return `[[${written}]]\n`;
+
+  // Show a value inside the range as the solution
+  const shown = tidyNumber((range.min + range.max) / 2);
+
+  if (flavor === "plain")
+    return `[[${shown}]]\n\n*Accepted answers: ${describeRange(range)}*\n`;
+
+  const lower = `input ${range.minInclusive ? ">=" : ">"} ${range.min}`;
+  const upper = `input ${range.maxInclusive ? "<=" : "<"} ${range.max}`;
+  return `[[${shown}]]\n<script>\n  let input = parseFloat("@input");\n  ${lower} && ${upper}\n</script>\n`;
+};
+
+/*---------------------------------
+Text Answers
+----------------------------------*/
+
+/**
+ * Escapes the characters LiaScript reads as quiz syntax inside [[...]]
+ * ("|" separates the options of a selection quiz)
+ * @param {string} text - Solution text
+ * @return {string} Text safe to put in a quiz
+ */
+const quizText = (text) => text.replace(/([|[\]])/g, "\\$1");
+
+/**
+ * Renders the answer of a text question. A single case-sensitive answer
+ * stays a simple [[answer]]; alternate answers, case-insensitive and
+ * regular expression matching get a LiaScript script that checks the input,
+ * or the accepted answers written out in plain Markdown.
+ * @param {Array<string>} answers - Accepted answers (patterns in regexp mode)
+ * @param {string} [type=""] - stringresponse type attribute ("ci", "regexp", "ci regexp")
+ * @param {string} [flavor="liascript"] - "liascript" or "plain"
+ * @return {string} Markdown for the answer
+ */
+const textAnswer = (answers, type = "", flavor = "liascript") => {
+  const flags = String(type).toLowerCase().split(/\s+/);
+  const caseInsensitive = flags.includes("ci");
+  const regexp = flags.includes("regexp");
+  const [first = ""] = answers;
+  // A pattern is shown through an answer it accepts where there is one
+  const shown = quizText((regexp && regexpExample(first)) || first);
+
+  if (answers.length <= 1 && !caseInsensitive && !regexp)
+    return `[[${shown}]]\n`;
+
+  if (flavor === "plain") {
+    const accepted = answers.map((answer) =>
+      regexp ? `text matching \`${answer}\`` : `"${answer}"`
+    );
+    const note = caseInsensitive ? " (not case-sensitive)" : "";
+    return `[[${shown}]]\n\n*Accepted answers: ${accepted.join(" or ")}${note}*\n`;
+  }
+
+  let check;
+  if (regexp) {
+    // edX matches a pattern against the whole answer
+    const patterns = answers.map((answer) => JSON.stringify(`^(?:${answer})$`));
+    const patternFlags = caseInsensitive ? ', "i"' : "";
+    check = `[${patterns.join(", ")}].some((pattern) => new RegExp(pattern${patternFlags}).test(input))`;
+  } else if (caseInsensitive) {
+    const accepted = answers.map((answer) => answer.toLowerCase());
+    check = `${JSON.stringify(accepted)}.includes(input.toLowerCase())`;
+  } else {
+    check = `${JSON.stringify(answers)}.includes(input)`;
+  }
+
+  return `[[${shown}]]\n<script>\n  let input = "@input".trim();\n  ${check}\n</script>\n`;
+};
+
+/*---------------------------------
+Formula, Script and Image Answers
+----------------------------------*/
+
+/**
+ * Builds the quiz for a formula answer. edX accepts any formula that
+ * evaluates to the same values; the quiz compares it as written, ignoring
+ * spaces (and case for type="ci").
+ * @param {string} [answer] - Expected formula (e.g. "x^2+1")
+ * @param {string} [type=""] - The response's type attribute ("ci", "cs")
+ * @param {string} [flavor="liascript"] - "liascript" or "plain"
+ * @return {string} Quiz Markdown, or a manual grading note when the formula
+ *   is computed by a script ("$answer")
+ */
+const formulaAnswer = (answer, type = "", flavor = "liascript") => {
+  const formula = String(answer ?? "").trim();
+  if (!formula || formula.includes("$"))
+    return manualGrading(
+      "the expected formula is computed by a script in edX, so check answers by hand."
+    );
+
+  if (flavor === "plain")
+    return `[[${formula}]]\n\n*Accepted answers: any formula equal to \`${formula}\`*\n`;
+
+  const caseInsensitive = String(type)
+    .toLowerCase()
+    .split(/\s+/)
+    .includes("ci");
+  let expected = formula.replace(/\s+/g, "");
+  let input = '"@input".replace(/\\s+/g, "")';
+  if (caseInsensitive) {
+    expected = expected.toLowerCase();
+    input += ".toLowerCase()";
+  }
+  return `[[${formula}]]\n<script>\n  let input = ${input};\n  input === ${JSON.stringify(expected)}\n</script>\n`;
+};
+
+/**
+ * Link to a file from the course static folder, which is copied to the
+ * images folder; web addresses are kept as they are
+ * @param {string} src - Reference as written (/static/x.html, x.png, https://...)
+ * @param {Object} [context={}] - XML context (context.imagesPath)
+ * @return {string} Link for the Markdown
+ */
+const staticLink = (src, context = {}) => {
+  if (/^(?:[a-z][a-z\d+.-]*:|\/\/)/i.test(src)) return src;
+  return `${context.imagesPath ?? "../images"}/${path.basename(src)}`;
+};
+
+/**
+ * Describes the correct areas of an image input: rectangle="(x1,y1)-(x2,y2)"
+ * (several separated by ";") and regions="[[[x,y], ...], ...]" polygons
+ * @param {Object} input - imageinput element
+ * @return {Array<string>} Readable areas, e.g. "the rectangle from (10, 10) to (50, 50)"
+ */
+const describeHotspots = (input) => {
+  const point = (x, y) => `(${x.trim()}, ${y.trim()})`;
+  const rectangles = [
+    ...(input.attrs.rectangle ?? "").matchAll(
+      /\(([^,()]+),([^,()]+)\)\s*-\s*\(([^,()]+),([^,()]+)\)/g
+    ),
+  ].map(
+    ([, x1, y1, x2, y2]) =>
+      `the rectangle from ${point(x1, y1)} to ${point(x2, y2)}`
+  );
+
+  let regions = [];
+  try {
+    regions = JSON.parse(input.attrs.regions ?? "[]");
+  } catch {
+    // Malformed regions are left out
+  }
+  // A single polygon may be written without the outer list
+  if (Array.isArray(regions[0]) && !Array.isArray(regions[0][0]))
+    regions = [regions];
+  const polygons = regions
+    .filter((region) => Array.isArray(region) && region.length > 0)
+    .map(
+      (region) =>
+        `the area with corners ${region
+          .map(([x, y]) => point(String(x), String(y)))
+          .join(", ")}`
+    );
+
+  return [...rectangles, ...polygons];
+};
+
+/*---------------------------------
+Problem Walker
+----------------------------------*/
+
+/**
+ * Renders the children of a problem element in document order. Runs of
+ * problem text are converted together, so inline markup stays in its
+ * paragraph; CAPA elements (responses, inputs, hints) go to their handler.
+ * @param {Object} node - Ordered DOM element
+ * @param {Function} transform - Transform function for recursive processing
+ * @param {number} depth - Current nesting depth
+ * @param {Object} [context={}] - XML context
+ * @return {string} Markdown for the children
+ */
+const renderChildren = (node, transform, depth, context = {}) => {
+  let content = "";
+  let text = [];
+
+  const flushText = () => {
+    const markdown = textToMarkdown(text, context);
+    // Text after a quiz starts a new paragraph instead of continuing its list
+    if (markdown && content.trim())
+      content = `${content.trimEnd()}\n\n${markdown}\n\n`;
+    else if (markdown) content += `${markdown}\n\n`;
+    text = [];
+  };
+
+  node.children.forEach((child) => {
+    if (isProblemText(child)) {
+      text.push(child);
+      return;
+    }
+
+    flushText();
+    const markdown = transform(child, depth);
+    // Blocks start a new paragraph; demand hints stay attached to the quiz above
+    if (markdown.trim() && content.trim() && child.tag !== "demandhint")
+      content = `${content.trimEnd()}\n\n`;
+    content += markdown;
+  });
+  flushText();
+
+  return content;
+};
+
+/**
+ * Groups the children of a problem with several responses into parts: each
+ * response together with the text written between it and the previous one
+ * (its prompt). Text before the first response is shared by all parts and
+ * elements after the last one (hints, solution) belong to the whole problem.
+ * @param {Array<Object>} children - Child nodes of the problem element
+ * @param {Array<Object>} responses - The problem's response elements
+ * @return {Array<Object>} Children with every part as a { tag: "part" } element
+ */
+const groupParts = (children, responses) => {
+  const grouped = [];
+  let pending = null; // null until the first response
+
+  children.forEach((child) => {
+    if (responses.includes(child)) {
+      grouped.push({
+        tag: "part",
+        attrs: {},
+        children: [...(pending ?? []), child],
+      });
+      pending = [];
+    } else if (pending === null) {
+      grouped.push(child);
+    } else {
+      pending.push(child);
+    }
+  });
+
+  return [...grouped, ...pending];
+};
+
+/**
+ * Builds the handler for a response type: its prompt, description and inputs
+ * are rendered in order by the problem walker, followed by the quiz answer
+ * for responses that carry it on the response element itself
+ * @param {Function} [answer] - (response, context) => Markdown for the answer;
+ *   choice responses leave it out as their choice group renders the quiz
+ * @return {Function} Handler for xmlhandlers
+ */
+const responseHandler =
+  (answer = () => "") =>
+  (node, transform, depth, context = {}) => {
+    const content = renderChildren(node, transform, depth, context);
+    const quiz = answer(node, context);
+    if (!quiz) return content;
+    return [content.trim(), quiz].filter(Boolean).join("\n\n");
+  };
 
 /*---------------------------------
 XML Handlers (clean + consistent)
 ----------------------------------*/
 
 /**
- * XML handlers for converting course content elements to markdown
- * Each handler processes a specific XML element type
+ * Records problem content the converter cannot render in context.report
+ * @param {Object} node - The element left out
+ * @param {Object} [context={}] - XML context (report and file)
+ * @return {string} Notice shown in its place
+ */
+const omittedNotice = (node, context = {}) => {
+  context.report?.add("omitted", "Unsupported content omitted", {
+    file: context.file,
+    tag: node.tag,
+  });
+  return `> **Unsupported content: ${node.tag} component omitted**\n\n`;
+};
+
+/**
+ * Empty inputs and markers that have nothing to show on their own; any
+ * other empty element without a handler is reported as omitted
+ * @type {Array<string>}
+ */
+const SILENT_ELEMENTS = [
+  "textline",
+  "formulaequationinput",
+  "schematic",
+  "annotationinput",
+  "textbox",
+  "chemicalequationinput",
+  "startouttext",
+  "endouttext",
+];
+
+/**
+ * XML handlers for converting problem elements (ordered DOM, see
+ * orderedxml.js) to markdown. Each handler processes a specific element;
+ * problem text (HTML) is converted by the problem walker.
  * @type {Object}
  */
 export const xmlhandlers = {
   /**
    * Handler for XML problem root elements
-   * @param {Object} node - The XML node to process
+   * @param {Object} node - The problem element to process
    * @param {Function} transform - Transform function for recursive processing
    * @param {number} depth - Current nesting depth
-   * @return {string} Transformed markdown content
-   */
-  problem: (node, transform, depth) => {
-    let content = "";
-
-    Object.keys(node).forEach((key) => {
-      if (
-        key !== "#text" &&
-        key !== "display_name" &&
-        key !== "markdown" &&
-        typeof node[key] === "object"
-      ) {
-        const childNode = { ...node[key], type: key, tagName: key };
-        content += transform(childNode, depth);
-      }
-    });
+   * @param {Object} [context={}] - XML context (context.preferMarkdown picks the source)
+   * @return {string} Transformed markdown content, followed by the feedback and solutions
+   */
+  problem: (node, transform, depth, context = {}) => {
+    // Simple editor markdown stands in for empty OLX, or all OLX when preferred
+    const problem = problemSource(node, context);
+
+    // Choice groups collect their feedback (and solutions their explanation)
+    // here so it follows the whole quiz
+    const problemContext = { ...context, feedback: [], explanations: [] };
+    const transformProblem = makeTransformer(xmlhandlers, problemContext);
+
+    const responses = elementChildren(problem).filter((child) =>
+      RESPONSE_TAGS.includes(child.tag)
+    );
+    if (responses.length < 2) {
+      const content = renderChildren(
+        problem,
+        transformProblem,
+        depth,
+        problemContext
+      );
+      return appendAnswers(content, problemContext, context.flavor);
+    }
 
-    return content;
+    // Several responses are rendered as numbered parts, each followed by its
+    // own feedback; the last part's comes after the problem's hints and solution
+    const children = groupParts(problem.children, responses);
+    const parts = children.filter((child) => child.tag === "part");
+
+    const transformPart = (child, childDepth) => {
+      if (child.tag !== "part") return transformProblem(child, childDepth);
+
+      const isLast = child === parts[parts.length - 1];
+      const partContext = isLast
+        ? problemContext
+        : { ...context, feedback: [], explanations: [] };
+      const body = renderChildren(
+        child,
+        makeTransformer(xmlhandlers, partContext),
+        childDepth,
+        partContext
+      );
+      const part = `**Part ${parts.indexOf(child) + 1}**\n\n${body}`;
+      return isLast ? part : appendAnswers(part, partContext, context.flavor);
+    };
+
+    const content = renderChildren(
+      { ...problem, children },
+      transformPart,
+      depth,
+      problemContext
+    );
+    return appendAnswers(content, problemContext, context.flavor);
   },
 
   /**
-   * Handler for multiple choice response XML nodes
-   * @param {Object} node - The XML node to process
-   * @param {Function} transform - Transform function for recursive processing
-   * @param {number} depth - Current nesting depth
-   * @return {string} Transformed markdown content
-   */
-  multiplechoiceresponse: (node, transform, depth) => {
-    let content = "";
-
-    Object.keys(node).forEach((key) => {
-      if (
-        key !== "#text" &&
-        key !== "type" &&
-        key !== "display_name" &&
-        key !== "markdown"
-      ) {
-        const value = node[key];
-
-        // Skip template paragraphs
-        if (key === "p") {
-          const text = value["#text"]?.trim() || "";
-          if (text.includes("You can use this template") || text === "") return;
-        }
-
-        // Skip template paragraphs
-        if (key === "p") {
-          const text = value["#text"]?.trim() || "";
-          if (text.includes("You can use this template") || text === "") return;
-        }
-
-        // Skip any text nodes that are just the tag name itself
-        if (
-          typeof value === "string" &&
-          value.trim() === "multiplechoiceresponse"
-        )
-          return;
-
-        if (Array.isArray(value)) {
-          value.forEach((child) => {
-            const childNode =
-              typeof child === "object"
-                ? { ...child, type: key, tagName: key }
-                : { type: "_", "#text": child };
-            content += transform(childNode, depth);
-          });
-        } else if (typeof value === "object" && value !== null) {
-          const childNode = { ...value, type: key, tagName: key };
-          content += transform(childNode, depth);
-        } else if (typeof value === "string") {
-          content += value;
-        }
-      }
-    });
+   * Handler for multiple choice responses - the choicegroup inside renders the quiz
+   * @type {Function}
+   */
+  multiplechoiceresponse: responseHandler(),
 
-    return content;
-  },
+  /**
+   * Handler for checkbox responses - the checkboxgroup inside renders the quiz
+   * @type {Function}
+   */
+  choiceresponse: responseHandler(),
 
   /**
-   * Handler for choice response XML nodes
-   * @param {Object} node - The XML node to process
-   * @param {Function} transform - Transform function for recursive processing
-   * @param {number} depth - Current nesting depth
-   * @return {string} Transformed markdown content
-   */
-  choiceresponse: (node, transform, depth) => {
-    let content = "";
-
-    Object.keys(node).forEach((key) => {
-      if (
-        key !== "#text" &&
-        key !== "type" &&
-        key !== "display_name" &&
-        key !== "markdown"
-      ) {
-        const value = node[key];
-
-        // Skip template paragraphs
-        if (key === "p") {
-          const text = value["#text"]?.trim() || "";
-          if (text.includes("You can use this template") || text === "") return;
-        }
-
-        // Skip any text nodes that are just the tag name itself
-        if (typeof value === "string" && value.trim() === "choiceresponse")
-          return;
-
-        if (Array.isArray(value)) {
-          value.forEach((child) => {
-            const childNode =
-              typeof child === "object"
-                ? { ...child, type: key, tagName: key }
-                : { type: "_", "#text": child };
-            content += transform(childNode, depth);
-          });
-        } else if (typeof value === "object" && value !== null) {
-          const childNode = { ...value, type: key, tagName: key };
-          content += transform(childNode, depth);
-        } else if (typeof value === "string") {
-          content += value;
-        }
-      }
-    });
+   * Handler for dropdown responses - the optioninput inside renders the quiz
+   * @type {Function}
+   */
+  optionresponse: responseHandler(),
 
-    return content;
-  },
+  /**
+   * Handler for text input responses - every accepted answer goes into the
+   * quiz, with context.flavor picking how alternate answers are shown
+   * @type {Function}
+   */
+  stringresponse: responseHandler((node, context) =>
+    textAnswer(readTextAnswers(node), node.attrs.type, context.flavor)
+  ),
 
   /**
-   * Handler for string response XML nodes - processes text input questions
-   * @param {Object} node - The XML node to process
-   * @param {Function} transform - Transform function for recursive processing
-   * @param {number} depth - Current nesting depth
-   * @return {string} Transformed markdown with answer placeholder in [[]] format
-   */
-  stringresponse: (node, transform, depth) => {
-    let content = "";
-
-    // Process all child keys except metadata
-    Object.keys(node).forEach((key) => {
-      if (
-        key !== "#text" &&
-        key !== "answer" &&
-        key !== "type" &&
-        key !== "additional_answer"
-      ) {
-        const value = node[key];
-
-        if (typeof value === "string" && value.trim() === "stringresponse")
-          return;
-
-        // Skip template paragraphs
-        if (key === "p") {
-          const text = value["#text"]?.trim() || "";
-          if (text.includes("You can use this template") || text === "") return;
-        }
-
-        if (Array.isArray(value)) {
-          value.forEach((child) => {
-            const childNode =
-              typeof child === "object"
-                ? { ...child, type: key, tagName: key }
-                : { type: "_", "#text": child };
-            content += transform(childNode, depth);
-          });
-        } else if (typeof value === "object" && value !== null) {
-          const childNode = { ...value, type: key, tagName: key };
-          content += transform(childNode, depth);
-        } else if (typeof value === "string") {
-          content += value;
-        }
-      }
-    });
+   * Handler for numeric input responses - the answer is checked against its
+   * tolerance, with context.flavor picking how the accepted range is shown
+   * @type {Function}
+   */
+  numericalresponse: responseHandler((node, context) =>
+    numericAnswer(node.attrs.answer, readTolerance(node), context.flavor)
+  ),
 
-    // Collect only the main answer
-    const mainAnswer = node.answer || "";
+  /**
+   * Handler for formula responses - the quiz compares the formula as written
+   * @type {Function}
+   */
+  formularesponse: responseHandler((node, context) =>
+    formulaAnswer(node.attrs.answer, node.attrs.type, context.flavor)
+  ),
 
-    return `${content.trim()}\n\n[[${mainAnswer}]]\n`;
-  },
+  /**
+   * Handler for symbolic (math expression) responses - answered like formulas
+   * @type {Function}
+   */
+  symbolicresponse: responseHandler((node, context) =>
+    formulaAnswer(
+      node.attrs.expect ?? node.attrs.answer,
+      node.attrs.type,
+      context.flavor
+    )
+  ),
 
   /**
-   * Handler for numerical response XML nodes - processes numeric input questions
-   * @param {Object} node - The XML node to process
-   * @param {Function} transform - Transform function for recursive processing
-   * @param {number} depth - Current nesting depth
-   * @return {string} Transformed markdown with numeric answer in [[]] format
-   */
-  numericalresponse: (node, transform, depth) => {
-    let content = "";
-
-    // Recursively process all child keys except #text and answer
-    Object.keys(node).forEach((key) => {
-      if (key !== "#text" && key !== "answer") {
-        const value = node[key];
-
-        if (typeof value === "string" && value.trim() === "numericalresponse")
-          return;
-
-        // Skip template paragraphs
-        if (key === "p") {
-          const text = value["#text"]?.trim() || "";
-          if (text.includes("You can use this template") || text === "") return;
-        }
-
-        if (Array.isArray(value)) {
-          value.forEach((child) => {
-            const childNode =
-              typeof child === "object"
-                ? { ...child, type: key, tagName: key }
-                : { type: "_", "#text": child };
-            content += transform(childNode, depth);
-          });
-        } else if (typeof value === "object" && value !== null) {
-          const childNode = { ...value, type: key, tagName: key };
-          content += transform(childNode, depth);
-        } else if (typeof value === "string") {
-          content += value;
-        }
-      }
-    });
+   * Handler for script graded responses (including JavaScript inputs) -
+   * the prompt and inputs are kept, grading is left to the reader
+   * @type {Function}
+   */
+  customresponse: responseHandler((node) => {
+    const expected = node.attrs.expect ?? node.attrs.answer;
+    const shown =
+      expected && !expected.includes("$")
+        ? ` The expected answer is \`${expected}\`.`
+        : "";
+    return manualGrading(
+      `edX checked this answer with a grading script, which cannot run here.${shown}`
+    );
+  }),
 
-    const answer = node.answer || "";
+  /**
+   * Handler for image click responses - the image is shown with the areas
+   * that count as correct
+   * @type {Function}
+   */
+  imageresponse: responseHandler((node) => {
+    const areas = elementChildren(node)
+      .filter((child) => child.tag === "imageinput")
+      .flatMap(describeHotspots);
+    const where = areas.length
+      ? ` The correct answer is ${areas.join(" or ")} (in pixels from the top left corner).`
+      : "";
+    return manualGrading(
+      `learners answer by clicking the image in edX.${where}`
+    );
+  }),
 
-    return `${content.trim()}\n\n[[${answer}]]\n`;
+  /**
+   * Handler for question labels (the prompt of a response)
+   * @param {Object} node - The label element to process
+   * @param {Function} transform - Transform function for recursive processing
+   * @param {number} depth - Current nesting depth
+   * @param {Object} [context={}] - XML context (boilerplate prompts are left out)
+   * @return {string} Prompt as a paragraph
+   */
+  label: (node, transform, depth, context = {}) => {
+    if (isBoilerplate(textOf(node), context.boilerplate)) return "";
+    const text = textToMarkdown(node.children, context);
+    return text && `${text}\n\n`;
   },
 
   /**
-   * Handler for response parameter XML nodes - typically ignored
-   * @param {Object} node - The XML node to process
+   * Handler for question descriptions (help text under the label)
+   * @param {Object} node - The description element to process
    * @param {Function} transform - Transform function for recursive processing
    * @param {number} depth - Current nesting depth
-   * @return {string} Empty string (parameters are not displayed)
+   * @param {Object} [context={}] - XML context
+   * @return {string} Description as a paragraph
    */
-  responseparam: (node, transform, depth) => "",
+  description: (node, transform, depth, context = {}) =>
+    xmlhandlers.label(node, transform, depth, context),
 
   /**
    * Handler for choice group XML nodes - processes multiple choice options
-   * @param {Object} node - The XML node to process
+   * @param {Object} node - The choicegroup element to process
    * @param {Function} transform - Transform function for recursive processing
    * @param {number} depth - Current nesting depth
+   * @param {Object} [context={}] - XML context (collects the choice feedback)
    * @return {string} Transformed markdown with choice options using [(x)] for correct answers
    */
-  choicegroup: (node, transform, depth) => {
-    let content = "\n\n";
-    const choices = node.choice
-      ? Array.isArray(node.choice)
-        ? node.choice
-        : [node.choice]
-      : [];
-
-    choices.forEach((choice) => {
-      let correct = false;
-      if (choice.correct !== undefined) {
-        if (typeof choice.correct === "boolean") {
-          correct = choice.correct;
-        } else if (typeof choice.correct === "string") {
-          correct = choice.correct.toLowerCase() === "true";
-        } else {
-          correct = Boolean(choice.correct);
-        }
-      }
-
-      const text = choice["#text"]?.trim() || "";
-      const box = correct ? "[(x)]" : "[( )]";
-      content += `- ${box} ${text}\n`;
-    });
+  choicegroup: (node, transform, depth, context = {}) => {
+    const choices = elementChildren(node).filter(
+      (child) => child.tag === "choice"
+    );
+
+    const content = choices
+      .map((choice) => {
+        const box = isTrue(choice.attrs.correct) ? "[(x)]" : "[( )]";
+        return `- ${box} ${choiceText(choice, context)}\n`;
+      })
+      .join("");
 
-    return content;
+    return content + addFeedback(readFeedback(choices, [], context), context);
   },
 
   /**
-   * Handler for individual choice XML nodes - handled by choicegroup
-   * @param {Object} node - The XML node to process
+   * Handler for checkbox group XML nodes - processes multiple selection options
+   * @param {Object} node - The checkboxgroup element to process
    * @param {Function} transform - Transform function for recursive processing
    * @param {number} depth - Current nesting depth
-   * @return {string} Transformed markdown choice option
-   */
-  choice: (node, transform, depth) => {
-    // This is handled by choicegroup, but included for completeness
-    let correct = false;
-    if (node.correct !== undefined) {
-      if (typeof node.correct === "boolean") {
-        correct = node.correct;
-      } else if (typeof node.correct === "string") {
-        correct = node.correct.toLowerCase() === "true";
-      } else {
-        correct = Boolean(node.correct);
-      }
-    }
+   * @param {Object} [context={}] - XML context (collects the choice and combination feedback)
+   * @return {string} Transformed markdown with checkbox options using [[x]] for correct answers
+   */
+  checkboxgroup: (node, transform, depth, context = {}) => {
+    const children = elementChildren(node);
+    const choices = children.filter((child) => child.tag === "choice");
+    const compoundHints = children.filter(
+      (child) => child.tag === "compoundhint"
+    );
+
+    const content = choices
+      .map((choice) => {
+        const box = isTrue(choice.attrs.correct) ? "[[x]]" : "[[ ]]";
+        return `- ${box} ${choiceText(choice, context)}\n`;
+      })
+      .join("");
 
-    const text = node["#text"]?.trim() || "";
-    const box = correct ? "[(x)]" : "[( )]";
-    return `- ${box} ${text}\n`;
+    const feedback = readFeedback(choices, compoundHints, context);
+    return content + addFeedback(feedback, context); // no extra newline
   },
 
   /**
-   * Handler for checkbox group XML nodes - processes multiple selection options
-   * @param {Object} node - The XML node to process
+   * Handler for option input XML nodes - processes dropdown/select input
+   * fields, with nested <option> elements or the older options="('a','b')"
+   * attribute (see readOptions); a dropdown without options is reported as omitted
+   * @param {Object} node - The optioninput element to process
    * @param {Function} transform - Transform function for recursive processing
    * @param {number} depth - Current nesting depth
-   * @return {string} Transformed markdown with checkbox options using [[x]] for correct answers
+   * @param {Object} [context={}] - XML context (collects the option feedback)
+   * @return {string} Transformed markdown with dropdown options, correct answer in parentheses
    */
-  checkboxgroup: (node, transform, depth) => {
-    let content = "\n\n";
-    const choices = node.choice
-      ? Array.isArray(node.choice)
-        ? node.choice
-        : [node.choice]
-      : [];
-
-    choices.forEach((choice) => {
-      let correct = false;
-      if (choice.correct !== undefined) {
-        if (typeof choice.correct === "boolean") {
-          correct = choice.correct;
-        } else if (typeof choice.correct === "string") {
-          correct = choice.correct.toLowerCase() === "true";
-        } else {
-          correct = Boolean(choice.correct);
-        }
-      }
-
-      const text = choice["#text"]?.trim() || "";
-      const box = correct ? "[[x]]" : "[[ ]]";
-      content += `- ${box} ${text}\n`;
-    });
+  optioninput: (node, transform, depth, context = {}) => {
+    const options = readOptions(node);
+    if (options.length === 0) return omittedNotice(node, context);
+
+    const list = options
+      .map((option) => {
+        const text = choiceText(option, context);
+        return isTrue(option.attrs.correct) ? `(${text})` : text;
+      })
+      .join("\n| ");
 
-    return content; // no extra newline
+    return `[[${list}\n]]\n\n${addFeedback(
+      readFeedback(options, [], context),
+      context
+    )}`;
   },
 
   /**
    * Handler for demand hint XML nodes - processes hint elements
-   * @param {Object} node - The XML node to process
+   * @param {Object} node - The demandhint element to process
    * @param {Function} transform - Transform function for recursive processing
    * @param {number} depth - Current nesting depth
+   * @param {Object} [context={}] - XML context (boilerplate hints are left out)
    * @return {string} Transformed markdown with hints using [[?]] format
    */
-  demandhint: (node, transform, depth) => {
-    const hints = node.hint
-      ? Array.isArray(node.hint)
-        ? node.hint
-        : [node.hint]
-      : [];
-
+  demandhint: (node, transform, depth, context = {}) => {
+    const hints = elementChildren(node).filter(
+      (child) =>
+        child.tag === "hint" &&
+        !isBoilerplate(textOf(child), context.boilerplate)
+    );
     if (hints.length === 0) return "";
 
-    return hints
-      .map((h, i) => {
-        const hintText = transform(
-          { ...h, type: "_", tagName: "hint" },
-          depth
-        ).trim();
-        return i === 0 ? `- [[?]] ${hintText}` : `- [[?]] ${hintText}`;
-      })
-      .join("\n");
+    return `${hints
+      .map((hint) => `- [[?]] ${inlineMarkdown(hint.children, context)}`)
+      .join("\n")}\n`;
   },
 
   /**
-   * Handler for choice hint XML nodes - typically ignored
-   * @param {Object} node - The XML node to process
+   * Handler for solutions - the explanation (usually a div.detailed-solution)
+   * is shown with the feedback once the quiz is answered, or left out when
+   * context.solutions is false
+   * @param {Object} node - The solution element to process
    * @param {Function} transform - Transform function for recursive processing
    * @param {number} depth - Current nesting depth
-   * @return {string} Empty string (choice hints are not displayed)
+   * @param {Object} [context={}] - XML context (context.explanations collects them)
+   * @return {string} Explanation block to render in place, or ""
    */
-  choicehint: (node, transform, depth) => "",
+  solution: (node, transform, depth, context = {}) => {
+    if (context.solutions === false) return "";
+
+    // Studio's template starts the explanation with an "Explanation" heading
+    const explanation = renderChildren(node, transform, depth, context)
+      .trim()
+      .replace(/^\**Explanation\**\s*\n+/, "");
+    if (!explanation || explanation === "Explanation") return "";
+
+    if (context.explanations) {
+      context.explanations.push(explanation);
+      return "";
+    }
+    return answerBlock({ explanations: [explanation] }, context.flavor);
+  },
 
   /**
-   * Handler for option response XML nodes - processes dropdown/select questions
-   * @param {Object} node - The XML node to process
+   * Handler for image inputs - the image to click on
+   * @param {Object} node - The imageinput element to process
    * @param {Function} transform - Transform function for recursive processing
    * @param {number} depth - Current nesting depth
-   * @return {string} Transformed markdown content
-   */
-  optionresponse: (node, transform, depth) => {
-    let content = "";
-
-    // Recursively process all child keys except #text
-    Object.keys(node).forEach((key) => {
-      if (key !== "#text") {
-        const value = node[key];
-
-        if (typeof value === "string" && value.trim() === "optionresponse")
-          return;
-
-        // Skip template paragraphs
-        if (key === "p") {
-          const text = value["#text"]?.trim() || "";
-          if (text.includes("You can use this template") || text === "") return;
-        }
-
-        if (Array.isArray(value)) {
-          value.forEach((child) => {
-            const childNode =
-              typeof child === "object"
-                ? { ...child, type: key, tagName: key }
-                : { type: "_", "#text": child };
-            content += transform(childNode, depth);
-          });
-        } else if (typeof value === "object" && value !== null) {
-          const childNode = { ...value, type: key, tagName: key };
-          content += transform(childNode, depth);
-        } else if (typeof value === "string") {
-          content += value;
-        }
-      }
-    });
-
-    return content;
+   * @param {Object} [context={}] - XML context (context.imagesPath)
+   * @return {string} Markdown image
+   */
+  imageinput: (node, transform, depth, context = {}) => {
+    if (!node.attrs.src) return "";
+    return `![${node.attrs.alt || "Image"}](${staticLink(node.attrs.src, context)})\n\n`;
   },
 
   /**
-   * Handler for option input XML nodes - processes dropdown/select input fields
-   * @param {Object} node - The XML node to process
+   * Handler for JavaScript inputs - the interactive page is embedded
+   * @param {Object} node - The jsinput element to process
    * @param {Function} transform - Transform function for recursive processing
    * @param {number} depth - Current nesting depth
-   * @return {string} Transformed markdown with dropdown options, correct answer in parentheses
+   * @param {Object} [context={}] - XML context (context.imagesPath)
+   * @return {string} iframe for the page in html_file
    */
-  optioninput: (node, transform, depth) => {
-    const options = node.option
-      ? Array.isArray(node.option)
-        ? node.option
-        : [node.option]
-      : [];
-
-    if (options.length === 0) return "";
-
-    let md = "\n\n[["; // start on a new line
-    md += options
-      .map((opt) => {
-        const text = opt["#text"]?.trim() || "";
-        let correct = false;
-        if (opt.correct !== undefined) {
-          if (typeof opt.correct === "boolean") correct = opt.correct;
-          else if (typeof opt.correct === "string")
-            correct = opt.correct.toLowerCase() === "true";
-          else correct = Boolean(opt.correct);
-        }
-        return correct ? `(${text})` : text;
-      })
-      .join("\n| ");
-    md += "\n]]\n\n";
-
-    return md;
+  jsinput: (node, transform, depth, context = {}) => {
+    if (!node.attrs.html_file) return "";
+    const size = ["width", "height"]
+      .filter((name) => node.attrs[name])
+      .map((name) => ` ${name}="${escapeAttribute(node.attrs[name])}"`)
+      .join("");
+    const src = escapeAttribute(staticLink(node.attrs.html_file, context));
+    return `<iframe src="${src}"${size}></iframe>\n\n`;
   },
 
   /**
-   * Handler for individual option XML nodes - handled by optioninput
-   * @param {Object} node - The XML node to process
-   * @param {Function} transform - Transform function for recursive processing
-   * @param {number} depth - Current nesting depth
-   * @return {string} Empty string (options are handled by parent)
+   * Handler for response parameter XML nodes - the tolerance is read by numericalresponse
+   * @return {string} Empty string (parameters are not displayed)
    */
-  option: (node, transform, depth) => {
-    // This is handled by optioninput, but included for completeness
-    return "";
-  },
+  responseparam: () => "",
 
   /**
-   * Handler for textline XML nodes - unsupported component
-   * @param {Object} node - The XML node to process
-   * @param {Function} transform - Transform function for recursive processing
-   * @param {number} depth - Current nesting depth
-   * @return {string} Empty string (textline components are omitted)
+   * Handler for text input fields - the answer is rendered by the response
+   * @return {string} Empty string (the quiz provides the input)
    */
-  textline: (node, transform, depth) => "",
+  textline: () => "",
 
   /**
-   * Handler for additional answer XML nodes - unsupported component
-   * @param {Object} node - The XML node to process
-   * @param {Function} transform - Transform function for recursive processing
-   * @param {number} depth - Current nesting depth
-   * @return {string} Empty string (additional answer components are omitted)
+   * Handler for formula input fields - the answer is rendered by the response
+   * @return {string} Empty string (the quiz provides the input)
    */
-  additional_answer: (node, transform, depth) => "",
+  formulaequationinput: () => "",
 
   /**
-   * Handler for compound hint XML nodes - unsupported component
-   * @param {Object} node - The XML node to process
-   * @param {Function} transform - Transform function for recursive processing
-   * @param {number} depth - Current nesting depth
-   * @return {string} Empty string (compound hint components are omitted)
+   * Handler for additional answer XML nodes - handled by stringresponse
+   * @return {string} Empty string (additional answers are accepted by stringresponse's quiz)
+   */
+  additional_answer: () => "",
+
+  /**
+   * Handler for compound hint XML nodes - handled by checkboxgroup
+   * @return {string} Empty string (compound hints are rendered as feedback by checkboxgroup)
+   */
+  compoundhint: () => "",
+
+  /**
+   * Handler for grading scripts - they run on the edX server
+   * @return {string} Empty string (scripts are not shown to learners)
    */
-  compoundhint: (node, transform, depth) => "",
+  script: () => "",
 
   /**
-   * Default handler for unrecognized XML node types
-   * @param {Object} node - The XML node to process
+   * Default handler for unrecognized XML elements - renders their content,
+   * or a notice when there is none. Known empty inputs and markers
+   * (SILENT_ELEMENTS) are left out silently. Response types without a handler always get the
+   * notice (after their prompt), as their quiz is lost.
+   * @param {Object} node - The element to process
    * @param {Function} transform - Transform function for recursive processing
    * @param {number} depth - Current nesting depth
+   * @param {Object} [context={}] - XML context (omitted content is recorded in context.report)
    * @return {string} Processed content or unsupported content message
    */
-  _: (node, transform, depth) => {
-    if (typeof node === "string") return node;
-    if (node && node["#text"]) return node["#text"];
-
-    // Process any child elements
-    let content = "";
-    if (typeof node === "object" && node !== null) {
-      Object.keys(node).forEach((childKey) => {
-        if (
-          childKey === "#text" ||
-          childKey === "tagName" ||
-          childKey === "type"
-        )
-          return;
-
-        const value = node[childKey];
-
-        if (Array.isArray(value)) {
-          value.forEach((child) => {
-            const childNode =
-              typeof child === "object"
-                ? { ...child, type: childKey, tagName: childKey }
-                : { type: "_", "#text": child };
-            content += transform(childNode, depth);
-          });
-        } else if (typeof value === "object" && value !== null) {
-          const childNode = { ...value, type: childKey, tagName: childKey };
-          content += transform(childNode, depth);
-        } else if (typeof value === "string") {
-          content += value;
-        }
-      });
-    }
-
-    const tagName = node?.tagName || node?.type || "unknown";
+  _: (node, transform, depth, context = {}) => {
+    if (!isElement(node)) return textToMarkdown([node], context);
+    if (node.children.length === 0 && SILENT_ELEMENTS.includes(node.tag))
+      return "";
 
-    // If we have content from child processing, return it
-    if (content?.trim()) {
-      return content;
-    }
+    const content = renderChildren(node, transform, depth, context);
+    const isResponse = RESPONSE_TAGS.includes(node.tag);
+    if (content.trim() && !isResponse) return content;
 
-    // Otherwise, indicate unsupported content
-    return `> **Unsupported content: ${tagName} component omitted**\n\n`;
+    const notice = omittedNotice(node, context);
+    return content.trim() ? `${content.trimEnd()}\n\n${notice}` : notice;
   },
 };
 
 /*---------------------------------
-XML to Markdown Transformer - FIXED
+XML to Markdown
 ----------------------------------*/
 
 /**
- * XML to Markdown transformer function using the xmlhandlers
- * @type {Function}
+ * Turns a keyed fast-xml-parser node into an ordered DOM element. Keyed
+ * objects have already lost the authored order, and text-only children
+ * cannot be told from attributes (both are plain values, read here as
+ * attributes), so XML strings are the better input.
+ * @param {Object} node - Keyed node (attributes without prefix, "#text" for text)
+ * @param {string} tag - Tag name of the node
+ * @return {Object} Ordered DOM element
+ */
+const keyedToElement = (node, tag) => {
+  const attrs = {};
+  const children = [];
+
+  Object.entries(node).forEach(([key, value]) => {
+    if (key === "#text") children.push({ text: String(value) });
+    else if (Array.isArray(value))
+      value.forEach((item) =>
+        children.push(
+          typeof item === "object"
+            ? keyedToElement(item, key)
+            : { tag: key, attrs: {}, children: [{ text: String(item) }] }
+        )
+      );
+    else if (typeof value === "object" && value !== null)
+      children.push(keyedToElement(value, key));
+    else attrs[key] = String(value);
+  });
+
+  return { tag, attrs, children };
+};
+
+/**
+ * Converts a problem to Markdown through the xmlhandlers
+ * @param {string|Object} problem - Problem XML, its ordered DOM element, or a
+ *   keyed fast-xml-parser node with its tag as type ({ ...parsed.problem, type: "problem" })
+ * @param {Object} [context={}] - XML context: report to record omitted
+ *   content in, the file it comes from, the Markdown flavor, the HTML
+ *   converter (nhm) for problem text and the boilerplate patterns to leave out
+ * @return {string} Converted markdown content
  */
-export const xmlToMarkdown = makeTransformer(xmlhandlers);
+export const xmlToMarkdown = (problem, context = {}) => {
+  let element = problem;
+  if (typeof problem === "string") element = rootElement(parseXmlDom(problem));
+  else if (problem && !problem.tag) {
+    const { type, tagName, ...keyed } = problem;
+    element = keyedToElement(keyed, type ?? tagName);
+  }
+  return makeTransformer(xmlhandlers, context)(element);
+};
 
 /*---------------------------------
 Read XML File
 ----------------------------------*/
 
 /**
- * Reads and parses an XML file
+ * Reads an XML file into the ordered DOM
  * @param {string} filePath - Path to the XML file to read
- * @return {Object|null} Parsed XML object or null if error occurs
+ * @param {Object} [fs=nodeFs] - Course file system to read from
+ * @param {Object|null} [report=null] - Conversion report to record errors in
+ * @return {Object|null} Root element, or null if error occurs
  */
-function readXmlFile(filePath) {
+function readXmlFile(filePath, fs = nodeFs, report = null) {
   try {
-    const xmlContent = fs.readFileSync(filePath, "utf8");
-    const parsed = xmlParser.parse(xmlContent);
-    return parsed;
+    const xmlContent = fs.read(filePath, "utf8");
+    return rootElement(parseXmlDom(xmlContent));
   } catch (error) {
-    console.error(`Error reading XML file ${filePath}:`, error);
+    reportIssue(report, "parse-error", error.message, { file: filePath });
     return null;
   }
 }
 
+/**
+ * XML context for the problems of a conversion
+ * @param {Object} context - Render context
+ * @param {string} [file] - File the problem comes from
+ * @return {Object} XML context (report, file, flavor, nhm, imagesPath,
+ *   boilerplate, solutions, preferMarkdown)
+ */
+const xmlContext = (context, file) => ({
+  report: context.report,
+  file,
+  flavor: context.flavor,
+  nhm: context.nhm,
+  imagesPath: context.imagesPath,
+  boilerplate: context.boilerplate,
+  solutions: context.solutions,
+  preferMarkdown: context.preferMarkdown,
+});
+
 /*---------------------------------
 Read File Content Helper
 ----------------------------------*/
@@ -729,40 +1262,40 @@ Read File Content Helper
  * Reads file content and converts it to markdown based on file type
  * @param {string} filePath - Path to the file to read
  * @param {string} [type="auto"] - Type of file processing ("xml", "html", or "auto")
+ * @param {Object} [context={}] - Render context (uses context.fs, context.nhm and context.report when set)
  * @return {string} Converted markdown content or error message
  */
-function readFileContent(filePath, type = "auto") {
+function readFileContent(filePath, type = "auto", context = {}) {
+  const fs = context.fs ?? nodeFs;
+
   try {
-    if (!fs.existsSync(filePath)) {
+    if (!fs.exists(filePath)) {
+      reportIssue(context.report, "missing-file", "File not found", {
+        file: filePath,
+      });
       return `> **File not found: ${filePath}**\n\n`;
     }
 
     const ext = path.extname(filePath).toLowerCase();
 
     if (type === "xml" || ext === ".xml") {
-      const xmlData = readXmlFile(filePath);
-      if (xmlData) {
-        // Create a root node with the parsed data and proper type
-        const rootNode = {
-          ...xmlData,
-          type: Object.keys(xmlData)[0],
-          tagName: Object.keys(xmlData)[0],
-        };
-        return xmlToMarkdown(rootNode);
-      }
+      const element = readXmlFile(filePath, fs, context.report);
+      if (element) return xmlToMarkdown(element, xmlContext(context, filePath));
       return `> **Error parsing XML file: ${filePath}**\n\n`;
     }
 
     if (type === "html" || ext === ".html" || ext === ".htm") {
-      const htmlContent = fs.readFileSync(filePath, "utf8");
-      return nhm.translate(htmlContent);
+      const htmlContent = fs.read(filePath, "utf8");
+      return translateWithMath(context.nhm ?? nhm, htmlContent);
     }
 
     // For other file types, read as plain text
-    const content = fs.readFileSync(filePath, "utf8");
+    const content = fs.read(filePath, "utf8");
     return content;
   } catch (error) {
-    console.error(`Error reading file ${filePath}:`, error);
+    reportIssue(context.report, "missing-file", error.message, {
+      file: filePath,
+    });
     return `> **Error reading file: ${filePath}**\n\n`;
   }
 }
@@ -771,6 +1304,75 @@ function readFileContent(filePath, type = "auto") {
 Markdown Handlers for Course Tree
 ----------------------------------*/
 
+/**
+ * Title shown in a course tree node's heading, falling back to its file name
+ * (or url_name for nodes written inline in their parent's file)
+ * @param {Object} node - The course tree node
+ * @return {string} Heading title
+ */
+const nodeTitle = (node) =>
+  node.display_name ||
+  (node.inline ? node.url_name : path.basename(node.file ?? "")) ||
+  node.url_name ||
+  "";
+
+/**
+ * Builds the Markdown heading for a course tree node and records it in
+ * context.headings so a table of contents can link to it
+ * @param {Object} node - The course tree node
+ * @param {number} depth - Current nesting depth for heading levels
+ * @param {Object} context - Render context
+ * @return {string} Markdown heading line
+ */
+const heading = (node, depth, context) => {
+  const level = Math.min(depth + 1, 6);
+  const title = nodeTitle(node);
+  context.headings?.push({ level, title });
+  return `${"#".repeat(level)} ${title}\n\n`;
+};
+
+/**
+ * Studio's name for each kind of course tree node, used in draft notices
+ * @type {Object}
+ */
+const DRAFT_KINDS = {
+  chapter: "section",
+  sequential: "subsection",
+  vertical: "unit",
+  "vertical-container": "unit",
+};
+
+/**
+ * Notice marking a node read from the drafts folder (--include-drafts)
+ * @param {Object} node - The course tree node
+ * @return {string} Markdown notice, or "" for published nodes
+ */
+const draftNotice = (node) =>
+  node.draft
+    ? `> **Draft:** this ${DRAFT_KINDS[node.type] ?? "component"} has unpublished changes\n\n`
+    : "";
+
+/**
+ * Renders the children of a chapter, sequential or vertical with the report
+ * scoped to its title, so issues found while rendering (missing files, omitted
+ * problem content) carry the same tree path as those found building the tree
+ * @param {Object} node - The course tree node
+ * @param {Array<Object>} children - Child nodes to render
+ * @param {number} depth - Nesting depth of the children
+ * @param {Object} context - Render context
+ * @return {string} Markdown for the children
+ */
+const renderScoped = (node, children, depth, context) => {
+  const scoped = context.report
+    ? {
+        ...context,
+        report: context.report.at(node.display_name || node.url_name),
+      }
+    : context;
+  const transform = makeTransformer(markdownHandlers, scoped);
+  return children.map((child) => transform(child, depth)).join("");
+};
+
 /**
  * Markdown handlers for converting course tree structure to markdown
  * Each handler processes a specific course element type
@@ -782,11 +1384,11 @@ const markdownHandlers = {
    * @param {Object} node - The course tree node to process
    * @param {Function} transform - Transform function for recursive processing
    * @param {number} depth - Current nesting depth for heading levels
+   * @param {Object} context - Render context
    * @return {string} Transformed markdown with heading and child content
    */
-  about: (node, transform, depth) => {
-    const headingLevel = Math.min(depth + 1, 6);
-    let md = `${"#".repeat(headingLevel)} ${node.display_name}\n\n`;
+  about: (node, transform, depth, context) => {
+    let md = heading(node, depth, context);
 
     if (node.children) {
       md += node.children.map((child) => transform(child, depth + 1)).join("");
@@ -800,13 +1402,11 @@ const markdownHandlers = {
    * @param {Object} node - The course tree node to process
    * @param {Function} transform - Transform function for recursive processing
    * @param {number} depth - Current nesting depth for heading levels
+   * @param {Object} context - Render context
    * @return {string} Transformed markdown with course heading and child content
    */
-  course: (node, transform, depth) => {
-    const headingLevel = Math.min(depth + 1, 6);
-    let md = `${"#".repeat(headingLevel)} ${
-      node.display_name || path.basename(node.file)
-    }\n\n`;
+  course: (node, transform, depth, context) => {
+    let md = heading(node, depth, context);
     if (node.children)
       md += node.children.map((child) => transform(child, depth + 1)).join("");
     return md;
@@ -817,64 +1417,83 @@ const markdownHandlers = {
    * @param {Object} node - The course tree node to process
    * @param {Function} transform - Transform function for recursive processing
    * @param {number} depth - Current nesting depth for heading levels
+   * @param {Object} context - Render context
    * @return {string} Transformed markdown with chapter heading and child content
    */
-  chapter: (node, transform, depth) => {
-    const headingLevel = Math.min(depth + 1, 6);
-    let md = `${"#".repeat(headingLevel)} ${
-      node.display_name || path.basename(node.file)
-    }\n\n`;
-    if (node.children)
-      md += node.children.map((child) => transform(child, depth + 1)).join("");
-    return md;
-  },
+  chapter: (node, transform, depth, context) =>
+    heading(node, depth, context) +
+    draftNotice(node) +
+    renderScoped(node, node.children ?? [], depth + 1, context),
 
   /**
    * Handler for sequential (lesson) elements
    * @param {Object} node - The course tree node to process
    * @param {Function} transform - Transform function for recursive processing
    * @param {number} depth - Current nesting depth for heading levels
+   * @param {Object} context - Render context
    * @return {string} Transformed markdown with sequential heading and child content
    */
-  sequential: (node, transform, depth) => {
-    const headingLevel = Math.min(depth + 1, 6);
-    let md = `${"#".repeat(headingLevel)} ${
-      node.display_name || path.basename(node.file)
-    }\n\n`;
-    if (node.verticals)
-      md += node.verticals.map((v) => transform(v, depth + 1)).join("");
-    if (node.problems)
-      md += node.problems.map((p) => transform(p, depth + 1)).join("");
-    if (node.children)
-      md += node.children.map((child) => transform(child, depth + 1)).join("");
-    return md;
+  sequential: (node, transform, depth, context) => {
+    const children = [
+      ...(node.verticals ?? []),
+      ...(node.problems ?? []),
+      ...(node.children ?? []),
+    ];
+    return (
+      heading(node, depth, context) +
+      draftNotice(node) +
+      renderScoped(node, children, depth + 1, context)
+    );
   },
 
   /**
-   * Handler for vertical (unit) elements - processes children without adding heading
+   * Handler for vertical (unit) elements - adds the unit heading unless
+   * context.verticalTitles is turned off, marks units read from the drafts
+   * folder, then processes the components
    * @param {Object} node - The course tree node to process
    * @param {Function} transform - Transform function for recursive processing
-   * @param {number} depth - Current nesting depth
-   * @return {string} Transformed markdown content from child elements
+   * @param {number} depth - Current nesting depth for heading levels
+   * @param {Object} context - Render context
+   * @return {string} Transformed markdown with unit heading and child content
    */
-  vertical: (node, transform, depth) =>
-    node.children
-      ? node.children.map((child) => transform(child, depth)).join("")
-      : "",
+  vertical: (node, transform, depth, context) => {
+    const md = context.verticalTitles ? heading(node, depth, context) : "";
+    return (
+      md +
+      draftNotice(node) +
+      renderScoped(node, node.children ?? [], depth + 1, context)
+    );
+  },
+
+  /**
+   * Handler for the vertical containers buildTree places inside sequentials -
+   * rendered the same way as a vertical
+   * @param {Object} node - The course tree node to process
+   * @param {Function} transform - Transform function for recursive processing
+   * @param {number} depth - Current nesting depth for heading levels
+   * @param {Object} context - Render context
+   * @return {string} Transformed markdown with unit heading and child content
+   */
+  "vertical-container": (node, transform, depth, context) =>
+    markdownHandlers.vertical(node, transform, depth, context),
 
   /**
-   * Handler for problem elements - reads problem file content
+   * Handler for problem elements - reads problem file content, or the markup
+   * of problems written inline in their parent (node.xml); drafts are marked
    * @param {Object} node - The course tree node to process
    * @param {Function} transform - Transform function for recursive processing
    * @param {number} depth - Current nesting depth
+   * @param {Object} context - Render context
    * @return {string} Transformed markdown with problem content and separator
    */
-  problem: (node, transform, depth) => {
-    let md = "";
-    if (node.file && fs.existsSync(node.file)) {
+  problem: (node, transform, depth, context) => {
+    let md = draftNotice(node);
+    if (node.xml) {
+      md += xmlToMarkdown(node.xml, xmlContext(context, node.file)) + "\n";
+    } else if (node.file && context.fs.exists(node.file)) {
       const ext = path.extname(node.file).toLowerCase();
       const type = ext === ".xml" ? "xml" : "problem";
-      md += readFileContent(node.file, type) + "\n";
+      md += readFileContent(node.file, type, context) + "\n";
     }
     if (node.children)
       md += node.children.map((child) => transform(child, depth)).join("");
@@ -884,25 +1503,30 @@ const markdownHandlers = {
   },
 
   /**
-   * Handler for HTML elements - processes children without adding content
+   * Handler for HTML elements - processes children, marking drafts
    * @param {Object} node - The course tree node to process
    * @param {Function} transform - Transform function for recursive processing
    * @param {number} depth - Current nesting depth
    * @return {string} Transformed markdown content from child elements
    */
   html: (node, transform, depth) =>
-    node.children
-      ? node.children.map((child) => transform(child, depth)).join("")
-      : "",
+    draftNotice(node) +
+    (node.children ?? []).map((child) => transform(child, depth)).join(""),
 
   /**
-   * Handler for HTML content elements - reads and converts HTML file content
+   * Handler for HTML content elements - reads and converts HTML file content,
+   * or the HTML written inline in the component (node.html)
    * @param {Object} node - The course tree node to process
+   * @param {Function} transform - Transform function for recursive processing
+   * @param {number} depth - Current nesting depth
+   * @param {Object} context - Render context
    * @return {string} Converted HTML content as markdown
    */
-  htmlContent: (node) => {
-    if (node.file && fs.existsSync(node.file)) {
-      return readFileContent(node.file, "html") + "\n\n";
+  htmlContent: (node, transform, depth, context) => {
+    if (node.html)
+      return translateWithMath(context.nhm ?? nhm, node.html) + "\n\n";
+    if (node.file && context.fs.exists(node.file)) {
+      return readFileContent(node.file, "html", context) + "\n\n";
     }
     return "";
   },
@@ -912,14 +1536,15 @@ const markdownHandlers = {
    * @param {Object} node - The course tree node to process
    * @param {Function} transform - Transform function for recursive processing
    * @param {number} depth - Current nesting depth
+   * @param {Object} context - Render context
    * @return {string} Markdown image syntax or empty string if file doesn't exist
    */
-  image: (node, transform, depth) => {
-    if (!node.file || !fs.existsSync(node.file)) return "";
+  image: (node, transform, depth, context) => {
+    if (!node.file || !context.fs.exists(node.file)) return "";
     const altText =
       node.display_name || path.basename(node.file, path.extname(node.file));
     const imageName = path.basename(node.file);
-    return `![${altText}](../images/${imageName})\n\n`;
+    return `![${altText}](${context.imagesPath}/${imageName})\n\n`;
   },
 
   /**
@@ -933,12 +1558,39 @@ const markdownHandlers = {
     const displayName = video.display_name || "Video";
     const youtubeId = video.youtube_id_1_0 || video.youtube;
     if (youtubeId)
-      return `!?[${displayName}](https://www.youtube.com/watch?v=${youtubeId})\n\n`;
+      return `${draftNotice(node)}!?[${displayName}](https://www.youtube.com/watch?v=${youtubeId})\n\n`;
     return "";
   },
 
   /**
-   * Default handler for unrecognized course tree node types
+   * Handler for discussion elements - notes where the discussion sits
+   * @param {Object} node - The course tree node to process
+   * @return {string} Markdown note naming the discussion and its category
+   */
+  discussion: (node) => {
+    const discussion = node.discussionData ?? {};
+    const title = discussion.display_name || "Discussion";
+    const category = discussion.discussion_category
+      ? ` (${discussion.discussion_category})`
+      : "";
+    return `${draftNotice(node)}> **Discussion: ${title}**${category}\n\n`;
+  },
+
+  /**
+   * Handler for unsupported XBlocks - renders a marked placeholder so the
+   * reader knows a component is missing from the conversion
+   * @param {Object} node - The course tree node to process
+   * @return {string} Markdown placeholder naming the component type
+   */
+  unsupported: (node) => {
+    const title = node.display_name ? ` "${node.display_name}"` : "";
+    const id = node.url_name ? ` (${node.url_name})` : "";
+    return `> **Unsupported component: \`${node.tag}\`**${title}${id}\n> This component could not be converted to Markdown.\n\n`;
+  },
+
+  /**
+   * Default handler for unrecognized course tree node types - has no heading
+   * of its own, so its children stay at the same depth
    * @param {Object} node - The course tree node to process
    * @param {Function} transform - Transform function for recursive processing
    * @param {number} depth - Current nesting depth
@@ -946,7 +1598,7 @@ const markdownHandlers = {
    */
   _: (node, transform, depth) =>
     node.children
-      ? node.children.map((child) => transform(child, depth + 1)).join("")
+      ? node.children.map((child) => transform(child, depth)).join("")
       : "",
 };
 
@@ -955,13 +1607,298 @@ Markdown Transformer
 ----------------------------------*/
 
 /**
- * Course tree to Markdown transformer function using the markdownHandlers
- * @type {Function}
+ * Default options for rendering a course tree
+ * @type {Object}
+ * @property {string} imagesPath - Folder image links point to, relative to the Markdown file
+ * @property {Object} fs - Course file system the tree's files are read from
+ * @property {boolean} toc - Insert a table of contents after the course title
+ * @property {boolean} verticalTitles - Render vertical (unit) titles as headings
+ * @property {Object|null} report - Conversion report (see report.js) for files that cannot be read and omitted problem content
+ * @property {string} flavor - "liascript" quiz blocks, or "plain" Markdown with collapsible feedback
+ * @property {Array<string|RegExp>} boilerplate - Template text left out of problems and HTML (see boilerplate.js)
+ * @property {boolean} solutions - Show problem solutions (explanations) after the quiz
+ * @property {boolean} preferMarkdown - Convert problems from their simple editor markdown when they have any (see problemmarkdown.js)
+ */
+const defaultRenderOptions = {
+  imagesPath: "../images",
+  fs: nodeFs,
+  toc: false,
+  verticalTitles: true,
+  report: null,
+  flavor: "liascript",
+  boilerplate: STUDIO_BOILERPLATE,
+  solutions: true,
+  preferMarkdown: false,
+};
+
+/**
+ * Builds the render context shared by all handlers during one conversion
+ * @param {Object} [options={}] - Render options (see defaultRenderOptions)
+ * @return {Object} Render context with the resolved options and HTML converter
+ */
+function createRenderContext(options = {}) {
+  const resolved = { ...defaultRenderOptions, ...options };
+  return {
+    ...resolved,
+    nhm: new NodeHtmlMarkdown(
+      {},
+      createHtmlHandlers(resolved.imagesPath, resolved.boilerplate)
+    ),
+    headings: [],
+  };
+}
+
+/**
+ * Converts a course tree to Markdown using the markdownHandlers
+ * @param {Object} tree - Course tree built by buildTree
+ * @param {Object} [options={}] - Render options (see defaultRenderOptions)
+ * @return {string} Markdown for the whole tree
+ */
+const treeToMarkdown = (tree, options = {}) => {
+  const context = createRenderContext(options);
+  const markdown = makeTransformer(markdownHandlers, context)(tree);
+  return context.toc ? insertToc(markdown, context.headings) : markdown;
+};
+
+/*---------------------------------
+Table of Contents
+----------------------------------*/
+
+/**
+ * Creates a GitHub-style heading slugger: lowercase, punctuation removed,
+ * spaces turned into hyphens and repeated slugs numbered (-1, -2, ...)
+ * @return {Function} Slugger returning the anchor for each heading in document order
+ */
+const createSlugger = () => {
+  const occurrences = new Map();
+  return (title) => {
+    const base = title
+      .toLowerCase()
+      .trim()
+      .replace(/[^\p{L}\p{M}\p{N}\p{Pc} -]/gu, "")
+      .replace(/ /g, "-");
+    let slug = base;
+    while (occurrences.has(slug)) {
+      occurrences.set(base, occurrences.get(base) + 1);
+      slug = `${base}-${occurrences.get(base)}`;
+    }
+    occurrences.set(slug, 0);
+    return slug;
+  };
+};
+
+/**
+ * Builds a table of contents linking to the course tree headings recorded in
+ * context.headings. Anchors are computed from every heading in the Markdown
+ * (including ones coming from HTML content) so de-duplicated anchors match.
+ * @param {string} markdown - Rendered course Markdown
+ * @param {Array<Object>} headings - Recorded tree headings ({ level, title })
+ * @return {string} Markdown list of links, nested by heading level
  */
-const treeToMarkdown = makeTransformer(markdownHandlers);
+const buildToc = (markdown, headings) => {
+  const slug = createSlugger();
+  const entries = [];
+  let next = 0;
+  let inFence = false;
+
+  markdown.split("\n").forEach((line) => {
+    if (/^(```|~~~)/.test(line)) inFence = !inFence;
+    const match = !inFence && line.match(/^(#{1,6}) +(.*?)(?: +#+)? *$/);
+    if (!match) return;
+
+    const anchor = slug(match[2]);
+    const expected = headings[next];
+    if (
+      expected &&
+      expected.level === match[1].length &&
+      expected.title === match[2]
+    ) {
+      entries.push({ ...expected, anchor });
+      next++;
+    }
+  });
+
+  // The first heading is the course title the table of contents sits under
+  const [title, ...items] = entries;
+  const baseLevel = title ? title.level + 1 : 1;
+
+  return items
+    .map(({ level, title, anchor }) => {
+      const indent = "  ".repeat(Math.max(level - baseLevel, 0));
+      const text = title.replace(/([[\]])/g, "\\$1");
+      return `${indent}- [${text}](#${anchor})`;
+    })
+    .join("\n");
+};
+
+/**
+ * Inserts a table of contents right after the first heading (the course title)
+ * @param {string} markdown - Rendered course Markdown
+ * @param {Array<Object>} headings - Recorded tree headings ({ level, title })
+ * @return {string} Markdown with the table of contents inserted
+ */
+const insertToc = (markdown, headings) => {
+  const toc = buildToc(markdown, headings);
+  if (!toc) return markdown;
+
+  const titleEnd = markdown.indexOf("\n\n");
+  if (titleEnd === -1) return `${markdown}\n\n${toc}\n\n`;
+
+  const title = markdown.slice(0, titleEnd);
+  const rest = markdown.slice(titleEnd);
+  return `${title}\n\n**Contents**\n\n${toc}${rest}`;
+};
+
+/*---------------------------------
+Split Output (one page per chapter/sequential)
+----------------------------------*/
+
+/**
+ * Turns a title into a file name friendly slug
+ * @param {string} title - Title to convert
+ * @return {string} Lowercase slug with words joined by hyphens
+ */
+const fileSlug = (title) => {
+  const slug = title
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+  return slug || "page";
+};
+
+/**
+ * Zero-pads a 1-based position for use in a page file name
+ * @param {number} index - 0-based position
+ * @return {string} Padded position, e.g. "01"
+ */
+const pageNumber = (index) => String(index + 1).padStart(2, "0");
+
+/**
+ * Builds the previous/index/next navigation shown at the bottom of each page
+ * @param {Object|undefined} prev - Previous page
+ * @param {Object|undefined} next - Next page
+ * @return {string} Markdown navigation links
+ */
+const pageNavigation = (prev, next) => {
+  const links = [
+    prev && `[← Previous: ${prev.title}](${prev.file})`,
+    "[Index](index.md)",
+    next && `[Next: ${next.title} →](${next.file})`,
+  ].filter(Boolean);
+
+  return `${links.join(" | ")}\n`;
+};
+
+/**
+ * Converts a course tree into one Markdown page per chapter (or per sequential),
+ * plus an index.md and a SUMMARY.md table of contents linking to every page
+ * @param {Object} tree - Course tree built by buildTree
+ * @param {Object} [options={}] - Render options (see defaultRenderOptions)
+ * @param {string} [options.splitBy="chapter"] - Page granularity: "chapter" or "sequential"
+ * @return {Array<Object>} Files to write, each with file name, title and markdown
+ */
+const treeToPages = (tree, options = {}) => {
+  const { splitBy = "chapter" } = options;
+  if (!["chapter", "sequential"].includes(splitBy))
+    throw new Error(`Cannot split by "${splitBy}" (use chapter or sequential)`);
+
+  const transform = makeTransformer(
+    markdownHandlers,
+    createRenderContext(options)
+  );
+  const children = tree.children ?? [];
+  const chapters = children.filter((child) => child.type === "chapter");
+  const pages = [];
+
+  // Table of contents entries: chapters, with their sequentials nested below
+  const toc = chapters.map((chapter, c) => {
+    if (splitBy === "chapter") {
+      const page = {
+        file: `${pageNumber(c)}-${fileSlug(nodeTitle(chapter))}.md`,
+        title: nodeTitle(chapter),
+        node: chapter,
+      };
+      pages.push(page);
+      return { title: page.title, file: page.file, children: [] };
+    }
+
+    const sequentials = (chapter.children ?? []).filter(
+      (child) => child.type === "sequential"
+    );
+    return {
+      title: nodeTitle(chapter),
+      file: null,
+      children: sequentials.map((sequential, q) => {
+        const page = {
+          file: `${pageNumber(c)}-${pageNumber(q)}-${fileSlug(
+            nodeTitle(sequential)
+          )}.md`,
+          title: nodeTitle(sequential),
+          node: sequential,
+        };
+        pages.push(page);
+        return { title: page.title, file: page.file };
+      }),
+    };
+  });
+
+  const link = (entry) =>
+    entry.file ? `[${entry.title}](${entry.file})` : entry.title;
+
+  // index.md: course title, anything outside the chapters (e.g. About), contents
+  let index = `# ${nodeTitle(tree)}\n\n`;
+  index += children
+    .filter((child) => child.type !== "chapter")
+    .map((child) => transform(child, 1))
+    .join("");
+  index += "## Contents\n\n";
+  index += toc
+    .map(
+      (entry) =>
+        `- ${link(entry)}\n` +
+        entry.children.map((child) => `  - ${link(child)}\n`).join("")
+    )
+    .join("");
+
+  // SUMMARY.md in the GitBook / mdBook layout
+  let summary = `# Summary\n\n- [${nodeTitle(tree)}](index.md)\n`;
+  summary += toc
+    .map((entry) =>
+      splitBy === "chapter"
+        ? `- ${link(entry)}\n`
+        : `\n## ${entry.title}\n\n` +
+          entry.children.map((child) => `- ${link(child)}\n`).join("")
+    )
+    .join("");
+
+  return [
+    { file: "index.md", title: nodeTitle(tree), markdown: index },
+    { file: "SUMMARY.md", title: "Summary", markdown: summary },
+    ...pages.map((page, i) => {
+      // Problems already end with a rule, only add one when it is missing
+      const body = transform(page.node, 0).trimEnd();
+      const rule = body.endsWith("---") ? "\n\n" : "\n\n---\n\n";
+      return {
+        file: page.file,
+        title: page.title,
+        markdown: body + rule + pageNavigation(pages[i - 1], pages[i + 1]),
+      };
+    }),
+  ];
+};
 
 /*---------------------------------
 Exports
 ----------------------------------*/
 
-export { treeToMarkdown, htmlHandlers, strong, em, li, ul, ol };
+export {
+  treeToMarkdown,
+  treeToPages,
+  htmlHandlers,
+  createHtmlHandlers,
+  strong,
+  em,
+  li,
+  ul,
+  ol,
+};
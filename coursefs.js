@@ -0,0 +1,140 @@
+// coursefs.js
+import fs from "fs";
+import path from "path";
+import * as tar from "tar";
+
+/*---------------------------------
+Course File System
+----------------------------------*/
+/**
+ * Tree building and rendering only read course files through this small
+ * interface, so a course can come from disk or straight from an archive:
+ *
+ *   exists(filePath)            -> boolean
+ *   read(filePath, [encoding])  -> string (with encoding) or Buffer
+ *   readdir(dirPath)            -> string[] of entry names
+ *   isDirectory(filePath)       -> boolean
+ */
+
+/**
+ * Course file system backed by the real Node fs
+ * @type {Object}
+ */
+export const nodeFs = {
+  exists: (filePath) => fs.existsSync(filePath),
+  read: (filePath, encoding) => fs.readFileSync(filePath, encoding),
+  readdir: (dirPath) => fs.readdirSync(dirPath),
+  isDirectory: (filePath) =>
+    fs.existsSync(filePath) && fs.statSync(filePath).isDirectory(),
+};
+
+/*---------------------------------
+In-Memory File System
+----------------------------------*/
+
+/**
+ * Creates a course file system from plain JS objects. Objects are folders and
+ * strings/Buffers are files; keys may also hold whole relative paths:
+ *
+ *   createMemoryFs({
+ *     "course.xml": '<course url_name="S2_2025"/>',
+ *     course: { "S2_2025.xml": "<course>...</course>" },
+ *     "chapter/ch1.xml": '<chapter display_name="Chapter 1"/>',
+ *   })
+ *
+ * @param {Object} [files={}] - Folder contents keyed by file or folder name
+ * @param {string} [root="/"] - Path the files are exposed under
+ * @return {Object} Course file system serving the given files
+ */
+export function createMemoryFs(files = {}, root = "/") {
+  const base = path.normalize(root);
+  const contents = new Map();
+  const dirs = new Map([[base, new Set()]]);
+
+  // Registers a path and all of its parent folders in the directory index
+  const addToIndex = (entryPath) => {
+    let child = entryPath;
+    let parent = path.dirname(child);
+    while (child !== base && parent !== child) {
+      if (!dirs.has(parent)) dirs.set(parent, new Set());
+      dirs.get(parent).add(path.basename(child));
+      child = parent;
+      parent = path.dirname(child);
+    }
+  };
+
+  const addEntries = (entries, dir) =>
+    Object.entries(entries).forEach(([name, value]) => {
+      const entryPath = path.join(dir, name);
+      addToIndex(entryPath);
+
+      if (typeof value === "string" || Buffer.isBuffer(value)) {
+        contents.set(entryPath, Buffer.from(value));
+      } else {
+        if (!dirs.has(entryPath)) dirs.set(entryPath, new Set());
+        addEntries(value, entryPath);
+      }
+    });
+
+  addEntries(files, base);
+
+  return {
+    exists: (filePath) =>
+      contents.has(path.normalize(filePath)) ||
+      dirs.has(path.normalize(filePath)),
+    read: (filePath, encoding) => {
+      const data = contents.get(path.normalize(filePath));
+      if (!data) throw new Error(`ENOENT: no such file, ${filePath}`);
+      return encoding ? data.toString(encoding) : data;
+    },
+    readdir: (dirPath) => {
+      const entries = dirs.get(path.normalize(dirPath));
+      if (!entries) throw new Error(`ENOENT: no such directory, ${dirPath}`);
+      return [...entries].sort();
+    },
+    isDirectory: (filePath) => dirs.has(path.normalize(filePath)),
+  };
+}
+
+/*---------------------------------
+Archive File System
+----------------------------------*/
+
+/**
+ * Reads a .tar / .tar.gz / .tgz archive into memory without extracting it.
+ * Entries are exposed under the archive path, so "course.tar" containing
+ * "course/course.xml" is read as "course.tar/course/course.xml".
+ * @param {string} archivePath - Path to the archive on disk
+ * @return {Object} Course file system serving the archive entries
+ */
+export function readArchive(archivePath) {
+  const entries = {};
+
+  const parser = new tar.Parser({
+    onReadEntry: (entry) => {
+      const entryPath = path.normalize(entry.path.replace(/\/+$/, ""));
+
+      if (entry.type === "Directory") {
+        entries[entryPath] = {};
+        entry.resume();
+        return;
+      }
+
+      if (entry.type !== "File") {
+        entry.resume();
+        return;
+      }
+
+      const chunks = [];
+      entry.on("data", (chunk) => chunks.push(chunk));
+      entry.on("end", () => {
+        entries[entryPath] = Buffer.concat(chunks);
+      });
+    },
+  });
+
+  // The parser emits synchronously when handed the whole buffer at once
+  parser.end(fs.readFileSync(archivePath));
+
+  return createMemoryFs(entries, archivePath);
+}
@@ -1,48 +1,25 @@
 import * as tar from "tar";
 import path from "path";
 import fs from "fs";
-import os from "os";
 
-const extractTarFiles = async () => {
-  const downloadsPath = path.join(os.homedir(), "Downloads");
+// Archive extensions accepted as course exports (tar handles gzip on its own)
+const ARCHIVE_EXTENSIONS = [".tar", ".tar.gz", ".tgz"];
 
-  //defines path to place the extracted folders in
-  const extractFolderPath = path.join(
-    downloadsPath,
-    "s4932506_RaeLynn_Tan_FunctionalJS",
-    "extractedinputcourses"
-  );
+// Checks whether a file name looks like a course export archive
+const isArchive = (filePath) =>
+  ARCHIVE_EXTENSIONS.some((ext) => filePath.toLowerCase().endsWith(ext));
 
-  const tarFilePath1 = path.join(
-    downloadsPath,
-    "inputcourses",
-    "course.yc8scupm.tar"
-  );
-  const tarFilePath2 = path.join(
-    downloadsPath,
-    "inputcourses",
-    "course.0nu25zgw.tar"
-  )
-
-  const extractDir1 = path.join(extractFolderPath, "extraction1");
-  const extractDir2 = path.join(extractFolderPath, "extraction2");
+// Extracts a single .tar / .tar.gz / .tgz archive into destDir
+const extractArchive = async (archivePath, destDir) => {
+  if (!fs.existsSync(archivePath)) {
+    throw new Error(`Archive does not exist: ${archivePath}`);
+  }
 
-  // Ensure directories exist
-  [extractFolderPath, extractDir1, extractDir2].forEach((dir) => {
-    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
-  });
+  // Ensure the directory exists
+  if (!fs.existsSync(destDir)) fs.mkdirSync(destDir, { recursive: true });
 
-  try {
-    await Promise.all([
-      tar.extract({ file: tarFilePath1, cwd: extractDir1 }),
-      tar.extract({ file: tarFilePath2, cwd: extractDir2 }),
-    ]);
-    console.log("✅ Both extractions complete!");
-    return { extractDir1, extractDir2 };
-  } catch (err) {
-    console.error("❌ Extraction failed:", err);
-    throw err;
-  }
+  await tar.extract({ file: archivePath, cwd: destDir });
+  return destDir;
 };
 
-export { extractTarFiles };
+export { extractArchive, isArchive, ARCHIVE_EXTENSIONS };
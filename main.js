@@ -1,95 +1,324 @@
 import fs from "fs";
 import path from "path";
-import os from "os";
-import { buildTree } from "./convertotreestructure.js";
-import { treeToMarkdown } from "./courseconverter.js";
-import { extractTarFiles } from "./extractfiles.js";
+import {
+  findCourseRoot,
+  loadCourse,
+  readCoursePointer,
+  summarizeUnsupported,
+} from "./convertotreestructure.js";
+import { treeToMarkdown, treeToPages } from "./courseconverter.js";
+import { extractArchive, isArchive } from "./extractfiles.js";
+import { STUDIO_BOILERPLATE } from "./boilerplate.js";
+import { nodeFs, readArchive } from "./coursefs.js";
+import { collectProblems, QUESTION_BANK_FORMATS } from "./questionbank.js";
+import {
+  assertNoDataLoss,
+  checkReferences,
+  createReport,
+  formatReport,
+  reportToJson,
+} from "./report.js";
 
-extractTarFiles();
-async function main() {
-  try {
-    // For running the code outside my computer <-- i have placed the extractedinputcourses inside this folder
-    const baseDir1 = path.join(
-      os.homedir(),
-      "Downloads",
-      "s4932506_RaeLynn_Tan_FunctionalJS",
-      "extractedinputcourses",
-      "extraction1"
-    );
-    const baseDir2 = path.join(
-      os.homedir(),
-      "Downloads",
-      "s4932506_RaeLynn_Tan_FunctionalJS",
-      "extractedinputcourses",
-      "extraction2"
-    );
+// Default logger used when the caller does not pass one in
+const defaultLog = {
+  info: (...args) => console.log(...args),
+  debug: () => {},
+  error: (...args) => console.error(...args),
+};
 
-    const courseFiles = [
-      path.join(baseDir1, "course/course/2025_S2.xml"),
-      path.join(baseDir2, "course/course/S2_2025.xml"),
-    ];
+// Builds a folder name for a course from its org/course/run (e.g. aiwonderland-AB101-S2_2025)
+export function courseSlug(pointer) {
+  return [pointer.org, pointer.course, pointer.run]
+    .filter(Boolean)
+    .join("-")
+    .replace(/[^\w.-]+/g, "_");
+}
 
-    //This is where outputcourses is created and put into the downloads folder of any computer
-    const outputRoot = path.join(os.homedir(), "Downloads/outputcourses");
-    if (!fs.existsSync(outputRoot))
-      fs.mkdirSync(outputRoot, { recursive: true });
+// Makes a name unique within usedNames by appending -2, -3, ...
+function uniqueName(name, usedNames) {
+  let candidate = name;
+  for (let i = 2; usedNames.has(candidate); i++) candidate = `${name}-${i}`;
+  usedNames.add(candidate);
+  return candidate;
+}
 
-    const imagesDir = path.join(outputRoot, "images");
-    if (!fs.existsSync(imagesDir)) fs.mkdirSync(imagesDir, { recursive: true });
+// Lists the course export archives (.tar/.tar.gz/.tgz) in a folder
+export function findArchives(dir) {
+  return fs
+    .readdirSync(dir)
+    .filter((file) => isArchive(file))
+    .sort()
+    .map((file) => path.join(dir, file));
+}
 
-    // Copy images from static folders
-    copyStaticImages(path.join(baseDir1, "course/static"), imagesDir);
-    copyStaticImages(path.join(baseDir2, "course/static"), imagesDir);
+// Expands the inputs into individual courses: folders that are not a course
+// themselves are treated as a folder of archives
+export function expandInputs(inputs) {
+  return inputs.flatMap((input) => {
+    if (
+      fs.existsSync(input) &&
+      fs.statSync(input).isDirectory() &&
+      !findCourseRoot(input)
+    ) {
+      const archives = findArchives(input);
+      if (archives.length > 0) return archives;
+    }
+    return [input];
+  });
+}
+
+// Converts one archive (.tar/.tar.gz/.tgz) or extracted course folder to Markdown.
+// Archives are read in memory unless a workDir to extract them into is given.
+// With strict set, any lost content (missing files, parse errors, unsupported
+// or omitted components) throws a ConversionError listing it instead.
+// Text matching the boilerplate patterns (Studio's templates by default) is
+// left out of the Markdown and the question bank. Problem solutions are shown
+// after their quiz unless solutions is false (student-facing exports).
+// Problems are converted from their simple editor markdown instead of the
+// OLX when preferMarkdown is set (or the OLX is empty).
+export async function convert(input, options = {}) {
+  const {
+    outDir = path.join(process.cwd(), "outputcourses"),
+    imagesDir = "images",
+    workDir = null,
+    usedNames = new Set(),
+    split = null,
+    toc = false,
+    verticalTitles = true,
+    includeDrafts = false,
+    strict = false,
+    questionBank = [],
+    flavor = "liascript",
+    boilerplate = STUDIO_BOILERPLATE,
+    solutions = true,
+    preferMarkdown = false,
+    dryRun = false,
+    log = defaultLog,
+  } = options;
+
+  if (!fs.existsSync(input)) throw new Error(`Input does not exist: ${input}`);
 
-    for (const coursePath of courseFiles) {
-      if (!fs.existsSync(coursePath)) {
-        console.error(`❌ File does not exist: ${coursePath}`);
-        continue;
+  let sourceDir = input;
+  let sourceFs = nodeFs;
+  let extracted = false;
+  let pointer = null;
+  try {
+    if (fs.statSync(input).isFile()) {
+      if (!isArchive(input)) throw new Error(`Not a course archive: ${input}`);
+
+      if (workDir) {
+        // Extract to a staging folder first, the workspace name comes from course.xml
+        if (!fs.existsSync(workDir)) fs.mkdirSync(workDir, { recursive: true });
+        sourceDir = fs.mkdtempSync(path.join(workDir, ".staging-"));
+        extracted = true;
+        await extractArchive(input, sourceDir);
+      } else {
+        sourceFs = readArchive(input);
       }
+    }
+
+    const courseRoot = findCourseRoot(sourceDir, sourceFs);
+    pointer = courseRoot && readCoursePointer(courseRoot, sourceFs);
+    if (!pointer) throw new Error(`No course.xml found in ${input}`);
+  } catch (err) {
+    if (extracted) fs.rmSync(sourceDir, { recursive: true, force: true });
+    throw err;
+  }
+
+  const name = uniqueName(
+    courseSlug(pointer) || path.parse(input).name,
+    usedNames
+  );
+
+  // Move the extracted archive into its own workspace named after the course
+  if (extracted) {
+    const workspace = path.join(workDir, name);
+    fs.rmSync(workspace, { recursive: true, force: true });
+    fs.renameSync(sourceDir, workspace);
+    log.debug(`Extracted ${input} → ${workspace}`);
+    sourceDir = workspace;
+  }
+
+  // Build the main course tree from the course.xml pointer
+  // Missing files, parse errors, unsupported components, unresolved images
+  // and broken links are collected here and written to report.json
+  const report = createReport();
+
+  const tree = loadCourse(sourceDir, { fs: sourceFs, includeDrafts, report });
+  if (!tree) throw new Error(`Could not load a course from ${input}`);
+  checkReferences(tree, { report, fs: sourceFs });
+
+  log.info(`✅ Tree built for ${tree.file}`);
+  log.debug(JSON.stringify(tree, null, 2));
+
+  // XBlocks with no Markdown equivalent are rendered as placeholders
+  const unsupported = summarizeUnsupported(tree);
+
+  const outputRoot = path.resolve(outDir);
+  const imagesRoot = path.resolve(outputRoot, imagesDir);
+  const subfolder = path.join(outputRoot, name);
+
+  // Image links are relative to the folder the Markdown is written to
+  const imagesPath = path
+    .relative(subfolder, imagesRoot)
+    .split(path.sep)
+    .join("/");
+  const renderOptions = {
+    imagesPath,
+    fs: sourceFs,
+    toc,
+    verticalTitles,
+    report,
+    flavor,
+    boilerplate,
+    solutions,
+    preferMarkdown,
+  };
+
+  // Either a single course.md or one page per chapter/sequential with an index
+  const files = split
+    ? treeToPages(tree, { ...renderOptions, splitBy: split })
+    : [{ file: "course.md", markdown: treeToMarkdown(tree, renderOptions) }];
+  log.info(`✅ Markdown generated for ${tree.file}`);
 
-      // Build the main course tree
-      const tree = buildTree(coursePath, "course");
+  // Strict mode fails before anything is written when content would be lost
+  if (strict) assertNoDataLoss(report, name);
 
-      console.log(`✅ Tree built for ${coursePath}`);
-      console.log(JSON.stringify(tree, null, 2));
+  if (!dryRun) {
+    if (!fs.existsSync(imagesRoot))
+      fs.mkdirSync(imagesRoot, { recursive: true });
 
-      const markdown = treeToMarkdown(tree);
-      console.log(`✅ Markdown generated for ${coursePath}`);
+    // Copy images from static folder
+    copyStaticImages(path.join(tree.root, "static"), imagesRoot, {
+      fs: sourceFs,
+      log,
+    });
+  }
 
-      const subfolder = path.join(outputRoot, path.parse(coursePath).name);
-      if (!fs.existsSync(subfolder))
-        fs.mkdirSync(subfolder, { recursive: true });
+  if (!dryRun && !fs.existsSync(subfolder))
+    fs.mkdirSync(subfolder, { recursive: true });
 
-      const outputPath = path.join(subfolder, "course.md");
-      fs.writeFileSync(outputPath, markdown, "utf-8");
-      console.log(`✅ Saved course.md to ${outputPath}`);
+  for (const { file, markdown } of files) {
+    const filePath = path.join(subfolder, file);
+    if (dryRun) {
+      log.info(`(dry run) Would save ${file} to ${filePath}`);
+    } else {
+      fs.writeFileSync(filePath, markdown, "utf-8");
+      log.info(`✅ Saved ${file} to ${filePath}`);
+    }
+  }
+
+  // Problems exported as a question bank for other LMSs (json, gift, qti)
+  if (questionBank.length > 0) {
+    const problems = collectProblems(tree, sourceFs, {
+      boilerplate,
+      preferMarkdown,
+    });
+    const bankFiles = questionBank.flatMap((format) =>
+      QUESTION_BANK_FORMATS[format](problems)
+    );
+
+    for (const { file, content } of bankFiles) {
+      const filePath = path.join(subfolder, "questionbank", file);
+      if (dryRun) {
+        log.debug(`(dry run) Would save ${file} to ${filePath}`);
+      } else {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, content, "utf-8");
+        log.debug(`✅ Saved ${file} to ${filePath}`);
+      }
+    }
+    log.info(
+      `✅ Question bank (${questionBank.join(", ")}): ${problems.length} problem(s)`
+    );
+  }
+
+  const reportPath = path.join(subfolder, "report.json");
+  if (!dryRun)
+    fs.writeFileSync(
+      reportPath,
+      reportToJson(report, { course: name, input }),
+      "utf-8"
+    );
+  log.info(formatReport(report));
+
+  const outputPath = path.join(subfolder, files[0].file);
+  return {
+    name,
+    tree,
+    outputPath,
+    markdown: files[0].markdown,
+    files,
+    unsupported,
+    report: report.entries,
+  };
+}
+
+// Converts every course in the inputs, carrying on past failures
+export async function convertAll(inputs, options = {}) {
+  const { log = defaultLog } = options;
+  const usedNames = new Set();
+  const results = [];
+
+  for (const input of expandInputs(inputs)) {
+    try {
+      const result = await convert(input, { ...options, usedNames });
+      results.push({ input, ok: true, ...result });
+    } catch (err) {
+      log.error(`❌ Failed to convert ${input}:`, err.message);
+      results.push({ input, ok: false, error: err.message });
     }
-  } catch (err) {
-    console.error("❌ Failed:", err.message);
   }
+
+  return results;
+}
+
+// Formats counts by type as "lti ×2, poll ×1"
+function formatCounts(counts) {
+  return Object.entries(counts)
+    .map(([type, count]) => `${type} ×${count}`)
+    .join(", ");
+}
+
+// Formats the per-course success/failure summary printed after a batch
+export function formatSummary(results) {
+  const failed = results.filter((r) => !r.ok).length;
+  const lines = results.map((r) => {
+    if (!r.ok) return `  ❌ ${path.basename(r.input)}: ${r.error}`;
+
+    const unsupported = Object.keys(r.unsupported ?? {}).length
+      ? ` — unsupported: ${formatCounts(r.unsupported)}`
+      : "";
+    const issues = r.report?.length ? ` — ${r.report.length} issue(s)` : "";
+    return `  ✅ ${r.name} (${path.basename(r.input)})${unsupported}${issues}`;
+  });
+
+  return [
+    `Summary: ${results.length - failed} converted, ${failed} failed`,
+    ...lines,
+  ].join("\n");
 }
 
 // Function to copy images recursively from a source to destination folder
-function copyStaticImages(srcDir, destDir) {
-  if (!fs.existsSync(srcDir)) return;
+// (options.fs is the course file system the images are read from)
+export function copyStaticImages(srcDir, destDir, options = {}) {
+  const { fs: sourceFs = nodeFs, log = defaultLog } = options;
+  if (!sourceFs.exists(srcDir)) return;
 
-  const files = fs.readdirSync(srcDir);
+  const files = sourceFs.readdir(srcDir);
 
   for (const file of files) {
     const srcPath = path.join(srcDir, file);
-    const stat = fs.statSync(srcPath);
 
-    if (stat.isDirectory()) {
+    if (sourceFs.isDirectory(srcPath)) {
       const destPath = path.join(destDir, file);
       if (!fs.existsSync(destPath)) fs.mkdirSync(destPath);
-      copyStaticImages(srcPath, destPath);
+      copyStaticImages(srcPath, destPath, options);
     } else {
       const cleanFileName = file.replace(/\s+/g, "_").replace(/,/g, "_");
       const destPath = path.join(destDir, cleanFileName);
-      fs.copyFileSync(srcPath, destPath);
-      console.log(`Copied ${srcPath} → ${destPath}`);
+      fs.writeFileSync(destPath, sourceFs.read(srcPath));
+      log.debug(`Copied ${srcPath} → ${destPath}`);
     }
   }
 }
-
-main();
@@ -0,0 +1,86 @@
+// mathjax.js
+import { decodeEntities } from "./orderedxml.js";
+
+/*---------------------------------
+MathJax Math
+----------------------------------*/
+/**
+ * edX renders math with MathJax, written as [mathjax]...[/mathjax],
+ * [mathjaxinline]...[/mathjaxinline], \( \), \[ \] or
+ * <script type="math/tex">. The HTML-to-Markdown converter would escape
+ * the backslashes and underscores of the TeX, so math spans are swapped for
+ * placeholders before the conversion and put back afterwards as $...$
+ * (inline) or $$...$$ (display).
+ */
+
+/**
+ * Ways of writing math in edX HTML, in the order they are looked for
+ * @type {Array<Object>}
+ */
+const MATH_PATTERNS = [
+  {
+    pattern:
+      /<script\b[^>]*\btype\s*=\s*["']math\/tex\s*;\s*mode\s*=\s*display["'][^>]*>([\s\S]*?)<\/script>/gi,
+    display: true,
+  },
+  {
+    pattern:
+      /<script\b[^>]*\btype\s*=\s*["']math\/tex["'][^>]*>([\s\S]*?)<\/script>/gi,
+    display: false,
+  },
+  {
+    pattern: /\[mathjaxinline\]([\s\S]*?)\[\/mathjaxinline\]/gi,
+    display: false,
+  },
+  { pattern: /\[mathjax\]([\s\S]*?)\[\/mathjax\]/gi, display: true },
+  { pattern: /\\\[([\s\S]+?)\\\]/g, display: true },
+  { pattern: /\\\(([\s\S]+?)\\\)/g, display: false },
+];
+
+/**
+ * Placeholder for the math span at an index; letters and digits only, so
+ * the converter leaves it alone
+ * @param {number} index - Index of the span
+ * @return {string} Placeholder text
+ */
+const placeholder = (index) => `MATHJAXSPAN${index}END`;
+
+/**
+ * Replaces the math in a piece of HTML with placeholders
+ * @param {string} html - HTML (or problem text) that may contain math
+ * @return {Object} { html, restore } where restore(markdown) puts the math
+ *   back into the converted Markdown as $...$ and $$...$$
+ */
+export function protectMath(html) {
+  const spans = [];
+  let safe = String(html);
+
+  MATH_PATTERNS.forEach(({ pattern, display }) => {
+    safe = safe.replace(pattern, (match, tex) => {
+      const clean = decodeEntities(tex).replace(/\s+/g, " ").trim();
+      if (!clean) return "";
+      spans.push(display ? `$$${clean}$$` : `$${clean}$`);
+      return placeholder(spans.length - 1);
+    });
+  });
+
+  return {
+    html: safe,
+    restore: (markdown) =>
+      markdown.replace(
+        /MATHJAXSPAN(\d+)END/g,
+        (match, index) => spans[Number(index)] ?? match
+      ),
+  };
+}
+
+/**
+ * Converts HTML to Markdown with the math kept as written
+ * @param {Object} converter - NodeHtmlMarkdown instance
+ * @param {string} html - HTML to convert
+ * @return {string} Markdown
+ */
+export function translateWithMath(converter, html) {
+  const { html: safe, restore } = protectMath(html);
+  return restore(converter.translate(safe));
+}
@@ -0,0 +1,151 @@
+// numericanswer.js
+import { elementChildren } from "./orderedxml.js";
+
+/*---------------------------------
+Numerical Answers
+----------------------------------*/
+/**
+ * A <numericalresponse> answer can be a number, a formula ("10/3",
+ * "2*pi"), or a range ("[5, 7)"), and a <responseparam type="tolerance">
+ * can widen it by an absolute ("5") or relative ("5%") margin. All of them
+ * come down to the accepted range:
+ *
+ *   { min, max, minInclusive, maxInclusive }
+ */
+
+/**
+ * Math functions and constants allowed in formula answers
+ * @type {Object}
+ */
+const FORMULA_NAMES = {
+  pi: "Math.PI",
+  e: "Math.E",
+  sqrt: "Math.sqrt",
+  abs: "Math.abs",
+  exp: "Math.exp",
+  ln: "Math.log",
+  log: "Math.log10",
+  log10: "Math.log10",
+  log2: "Math.log2",
+  sin: "Math.sin",
+  cos: "Math.cos",
+  tan: "Math.tan",
+  arcsin: "Math.asin",
+  arccos: "Math.acos",
+  arctan: "Math.atan",
+};
+
+/**
+ * Rounds away floating point noise (0.30000000000000004 -> 0.3)
+ * @param {number} value - Number to tidy
+ * @return {number} Rounded number
+ */
+export const tidyNumber = (value) => Number(value.toPrecision(12));
+
+/**
+ * Evaluates a formula answer made of numbers, + - * / ^, parentheses and the
+ * FORMULA_NAMES functions and constants
+ * @param {string|number} formula - Answer as written
+ * @return {number} Value of the formula, NaN when it uses anything else
+ *   (e.g. variables computed by a grading script)
+ */
+export function evaluateFormula(formula) {
+  const source = String(formula).trim();
+  if (!source || !/^[\w\s.+\-*/^()]+$/.test(source)) return NaN;
+
+  let unknownName = false;
+  const expression = source
+    .replace(
+      /(\d*\.?\d+(?:e[+-]?\d+)?)|([a-z_]\w*)/gi,
+      (match, number, name) => {
+        if (number) return number;
+        const mapped = FORMULA_NAMES[name.toLowerCase()];
+        if (!mapped) unknownName = true;
+        return mapped ?? match;
+      }
+    )
+    .replace(/\^/g, "**");
+  if (unknownName) return NaN;
+
+  try {
+    const value = Function(`"use strict"; return (${expression});`)();
+    return typeof value === "number" && Number.isFinite(value) ? value : NaN;
+  } catch {
+    return NaN;
+  }
+}
+
+/**
+ * Reads a tolerance as written in responseparam's default attribute
+ * @param {string|number} [raw] - e.g. 5, "0.5" or "5%"
+ * @return {Object|null} { type: "absolute"|"relative", value } or null
+ */
+export function parseTolerance(raw) {
+  const text = String(raw ?? "").trim();
+  const value = parseFloat(text);
+  if (!text || Number.isNaN(value)) return null;
+  return { type: text.endsWith("%") ? "relative" : "absolute", value };
+}
+
+/**
+ * Reads the tolerance of a numerical response from its
+ * <responseparam type="tolerance">
+ * @param {Object} response - numericalresponse element (ordered DOM)
+ * @return {Object|null} Tolerance from parseTolerance, or null
+ */
+export const readTolerance = (response) =>
+  parseTolerance(
+    elementChildren(response).find(
+      (child) =>
+        child.tag === "responseparam" && child.attrs.type === "tolerance"
+    )?.attrs.default
+  );
+
+/**
+ * Works out the range of values a numerical answer accepts
+ * @param {string|number} answer - Answer as written ("100", "2*pi", "[5, 7)")
+ * @param {Object|null} [tolerance=null] - Tolerance from parseTolerance
+ * @return {Object|null} { min, max, minInclusive, maxInclusive }, or null
+ *   when the answer cannot be evaluated
+ */
+export function numericRange(answer, tolerance = null) {
+  const text = String(answer ?? "").trim();
+
+  // Ranges: [ and ] include the bound, ( and ) leave it out
+  const range = text.match(/^([[(])\s*([^,]+?)\s*,\s*([^,]+?)\s*([\])])$/);
+  if (range) {
+    const min = evaluateFormula(range[2]);
+    const max = evaluateFormula(range[3]);
+    if (Number.isNaN(min) || Number.isNaN(max)) return null;
+    return {
+      min,
+      max,
+      minInclusive: range[1] === "[",
+      maxInclusive: range[4] === "]",
+    };
+  }
+
+  const value = evaluateFormula(text);
+  if (Number.isNaN(value)) return null;
+
+  let margin = 0;
+  if (tolerance?.type === "relative")
+    margin = (Math.abs(value) * tolerance.value) / 100;
+  else if (tolerance) margin = Math.abs(tolerance.value);
+
+  return {
+    min: tidyNumber(value - margin),
+    max: tidyNumber(value + margin),
+    minInclusive: true,
+    maxInclusive: true,
+  };
+}
+
+/**
+ * Checks whether an answer is just a number (no formula, range or tolerance
+ * needed to check it)
+ * @param {string|number} answer - Answer as written
+ * @return {boolean} True for plain numbers
+ */
+export const isPlainNumber = (answer) =>
+  /^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i.test(String(answer ?? "").trim());
@@ -0,0 +1,291 @@
+// orderedxml.js
+import { XMLParser } from "fast-xml-parser";
+
+/*---------------------------------
+Ordered XML DOM
+----------------------------------*/
+/**
+ * fast-xml-parser's default keyed object form groups children by tag name,
+ * which loses the order they were authored in. This module parses XML with
+ * order preservation into a small DOM:
+ *
+ *   element: { tag, attrs, children }
+ *   text:    { text }               (markup as written, entities not decoded)
+ *   cdata:   { text, cdata: true }  (CDATA content as written)
+ *
+ * Attribute values are entity-decoded. Comments and the <?xml?> declaration
+ * are dropped.
+ */
+
+/**
+ * XML parser instance keeping element order and text exactly as written
+ * @type {XMLParser}
+ */
+const orderedParser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: "",
+  preserveOrder: true,
+  trimValues: false,
+  parseTagValue: false,
+  parseAttributeValue: false,
+  processEntities: false,
+  cdataPropName: "#cdata",
+  commentPropName: "#comment",
+});
+
+/**
+ * Decodes the predefined XML entities and numeric character references
+ * @param {string} value - Text containing entities
+ * @return {string} Decoded text
+ */
+export const decodeEntities = (value) =>
+  String(value).replace(
+    /&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi,
+    (match, entity) => {
+      const named = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+      if (entity[0] !== "#") return named[entity.toLowerCase()] ?? match;
+      const code =
+        entity[1].toLowerCase() === "x"
+          ? parseInt(entity.slice(2), 16)
+          : parseInt(entity.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+  );
+
+/**
+ * Converts fast-xml-parser's preserveOrder output into the ordered DOM
+ * @param {Array<Object>} items - preserveOrder nodes
+ * @return {Array<Object>} Ordered DOM nodes
+ */
+const toDom = (items = []) =>
+  items.flatMap((item) => {
+    const tag = Object.keys(item).find((key) => key !== ":@");
+
+    if (tag === "#text") return [{ text: String(item["#text"]) }];
+    if (tag === "#cdata")
+      return [
+        { text: item["#cdata"].map((t) => t["#text"]).join(""), cdata: true },
+      ];
+    if (tag === "#comment" || tag === "?xml" || !tag) return [];
+
+    const attrs = Object.fromEntries(
+      Object.entries(item[":@"] ?? {}).map(([name, value]) => [
+        name,
+        decodeEntities(value),
+      ])
+    );
+    return [{ tag, attrs, children: toDom(item[tag]) }];
+  });
+
+/**
+ * Parses an XML string into the ordered DOM
+ * @param {string} xml - XML source
+ * @return {Array<Object>} Top level ordered DOM nodes
+ */
+export const parseXmlDom = (xml) => toDom(orderedParser.parse(xml));
+
+/**
+ * Checks whether an ordered DOM node is an element (rather than text)
+ * @param {Object} node - Ordered DOM node
+ * @return {boolean} True for elements
+ */
+export const isElement = (node) => Boolean(node?.tag);
+
+/**
+ * Returns the element children of a node, skipping text between them
+ * @param {Object} node - Ordered DOM element
+ * @return {Array<Object>} Child elements in document order
+ */
+export const elementChildren = (node) =>
+  (node?.children ?? []).filter(isElement);
+
+/**
+ * Checks whether an OLX boolean attribute is set ("true"/"True")
+ * @param {string} [value] - Attribute value
+ * @return {boolean} True when the attribute says true
+ */
+export const isTrue = (value) => String(value).toLowerCase() === "true";
+
+/**
+ * Returns the root element of a parsed document
+ * @param {Array<Object>} dom - Top level ordered DOM nodes
+ * @return {Object|null} First element, or null when there is none
+ */
+export const rootElement = (dom) => dom.find(isElement) ?? null;
+
+/**
+ * Plain text of an ordered DOM node, with whitespace collapsed
+ * @param {Object} node - Ordered DOM node
+ * @param {Array<string>} [skipTags=[]] - Child elements to leave out
+ * @return {string} Text content
+ */
+export const textOf = (node, skipTags = []) => {
+  const collect = (n) => {
+    if (!isElement(n)) return n.cdata ? n.text : decodeEntities(n.text);
+    if (skipTags.includes(n.tag)) return "";
+    if (n.tag === "br") return " ";
+    return n.children.map(collect).join("");
+  };
+  return collect(node).replace(/\s+/g, " ").trim();
+};
+
+/*---------------------------------
+Serializing
+----------------------------------*/
+
+/**
+ * HTML elements that never have content and are written without a closing tag
+ * @type {Array<string>}
+ */
+const VOID_ELEMENTS = [
+  "area",
+  "br",
+  "col",
+  "embed",
+  "hr",
+  "img",
+  "input",
+  "link",
+  "meta",
+  "param",
+  "source",
+  "track",
+  "wbr",
+];
+
+/**
+ * Escapes a value for use inside a double quoted attribute
+ * @param {string} value - Attribute value
+ * @return {string} Escaped value
+ */
+export const escapeAttribute = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/"/g, "&quot;");
+
+/**
+ * Writes ordered DOM nodes back out as markup
+ * @param {Array<Object>} nodes - Ordered DOM nodes
+ * @param {Object} [options={}] - Serializing options
+ * @param {boolean} [options.html=false] - Write HTML: CDATA sections are
+ *   unwrapped and only void elements are self-closing
+ * @return {string} Markup for the nodes
+ */
+export const serializeXmlDom = (nodes, options = {}) =>
+  nodes
+    .map((node) => {
+      if (!isElement(node)) {
+        return node.cdata && !options.html
+          ? `<![CDATA[${node.text}]]>`
+          : node.text;
+      }
+
+      const attrs = Object.entries(node.attrs)
+        .map(([name, value]) => ` ${name}="${escapeAttribute(value)}"`)
+        .join("");
+
+      if (node.children.length === 0) {
+        if (!options.html || VOID_ELEMENTS.includes(node.tag))
+          return `<${node.tag}${attrs}/>`;
+        return `<${node.tag}${attrs}></${node.tag}>`;
+      }
+
+      return `<${node.tag}${attrs}>${serializeXmlDom(
+        node.children,
+        options
+      )}</${node.tag}>`;
+    })
+    .join("");
+
+/*---------------------------------
+Problem Answers
+----------------------------------*/
+/**
+ * Readers for the answers authored in CAPA problems, shared by the Markdown
+ * converter, the question bank and the problem markdown check so that all
+ * three accept the same answers.
+ */
+
+/**
+ * Lists the answers a string response accepts: its answer attribute and
+ * every additional_answer (written as an answer attribute or as text)
+ * @param {Object} response - stringresponse element
+ * @return {Array<string>} Trimmed answers in document order, empty ones left out
+ */
+export const readTextAnswers = (response) =>
+  [
+    response.attrs.answer,
+    ...elementChildren(response)
+      .filter((child) => child.tag === "additional_answer")
+      .map((extra) => extra.attrs.answer ?? textOf(extra)),
+  ]
+    .filter((answer) => answer !== undefined && answer.trim() !== "")
+    .map((answer) => answer.trim());
+
+/**
+ * Reads the hints written inside a choice or dropdown option
+ * (<choicehint>, <optionhint>) with when each one is shown
+ * @param {Object} choice - choice or option element
+ * @return {Array<Object>} { hint, selected } where selected is false for
+ *   checkbox hints shown when the choice is left out
+ */
+export const readChoiceHints = (choice) =>
+  elementChildren(choice)
+    .filter((child) => ["choicehint", "optionhint"].includes(child.tag))
+    .map((hint) => ({
+      hint,
+      // Multiple choice hints have no selected attribute: shown when chosen
+      selected:
+        hint.attrs.selected === undefined || isTrue(hint.attrs.selected),
+    }));
+
+/**
+ * Reads the options of a dropdown, in either the nested <option> form or the
+ * older options="('a','b')" correct="a" attribute form, which is turned into
+ * option elements so both forms are read the same way
+ * @param {Object} input - optioninput element
+ * @return {Array<Object>} option elements in authored order, empty when
+ *   there are none
+ */
+export const readOptions = (input) => {
+  const nested = elementChildren(input).filter(
+    (child) => child.tag === "option"
+  );
+  if (nested.length > 0) return nested;
+
+  return [...(input.attrs.options ?? "").matchAll(/'((?:[^'\\]|\\.)*)'/g)].map(
+    ([, written]) => {
+      const text = written.replace(/\\(.)/g, "$1");
+      return {
+        tag: "option",
+        attrs: { correct: String(text === input.attrs.correct) },
+        children: [{ text: escapeAttribute(text) }],
+      };
+    }
+  );
+};
+
+/**
+ * Finds an answer a regexp accepts, to show as the solution instead of the
+ * pattern: its first alternative when that is literal text ("cat|dog" ->
+ * "cat")
+ * @param {string} pattern - Regular expression source
+ * @return {string|null} Example answer, or null when there is no literal one
+ */
+export const regexpExample = (pattern) => {
+  let depth = 0;
+  let end = pattern.length;
+  for (let i = 0; i < pattern.length && end === pattern.length; i++) {
+    if (pattern[i] === "\\") i++;
+    else if ("([".includes(pattern[i])) depth++;
+    else if (")]".includes(pattern[i])) depth--;
+    else if (pattern[i] === "|" && depth === 0) end = i;
+  }
+
+  const first = pattern.slice(0, end).replace(/^\^/, "").replace(/\$$/, "");
+  // Escapes like \d stand for many characters; \. stands for a dot
+  if (!first || /\\[a-zA-Z0-9]/.test(first)) return null;
+  if (/(^|[^\\])[[\](){}*+?.|^$]/.test(first)) return null;
+  return first.replace(/\\(.)/g, "$1");
+};
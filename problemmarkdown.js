@@ -0,0 +1,456 @@
+// problemmarkdown.js
+import { isPlainNumber, numericRange } from "./numericanswer.js";
+import {
+  elementChildren,
+  isTrue,
+  readOptions,
+  readTextAnswers,
+  textOf,
+} from "./orderedxml.js";
+
+/*---------------------------------
+Studio Problem Markdown
+----------------------------------*/
+/**
+ * Problems written in Studio's simple editor keep their source in the
+ * problem's markdown attribute, next to the OLX Studio generated from it.
+ * parseProblemMarkdown turns that source back into a problem element of the
+ * ordered DOM (see orderedxml.js), the way Studio builds the OLX:
+ *
+ *   >>Label||description<<   prompt of the next question
+ *   ( ) wrong / (x) right    multiple choice
+ *   [ ] wrong / [x] right    checkboxes, {{ ((A C)) ... }} for combinations
+ *   [[a, (b), c]]            dropdown (or one option per line up to "]]")
+ *   = answer / or= other     text answer, numerical when it is a number
+ *   = 5 +- 0.5               ... or range ("[5, 7)"), with its tolerance
+ *   s= 5                     text answer even though it looks like a number
+ *   {{ feedback }}           after a choice or option
+ *   || hint ||               demand hint
+ *   [explanation] ...        solution, up to the next [explanation]
+ *   Title                    heading (a line underlined with ===)
+ *   ---                      ends a question
+ *
+ * Any other line is problem text; blank lines separate paragraphs.
+ */
+
+/**
+ * Builds an element of the ordered DOM
+ * @param {string} tag - Tag name
+ * @param {Object} [attrs={}] - Attributes
+ * @param {Array<Object>} [children=[]] - Child nodes
+ * @return {Object} Element
+ */
+const element = (tag, attrs = {}, children = []) => ({ tag, attrs, children });
+
+/**
+ * Builds a text node (problem text is markup, as in the OLX)
+ * @param {string} value - Text
+ * @return {Object} Text node
+ */
+const text = (value) => ({ text: value });
+
+/**
+ * Splits the {{ feedback }} off the end of a choice, option or answer line
+ * @param {string} line - Line without its marker
+ * @return {Object} { value, feedback } where feedback is null when there is none
+ */
+const splitFeedback = (line) => {
+  const match = line.match(/^(.*?)\s*\{\{(.*)\}\}\s*$/);
+  if (!match) return { value: line.trim(), feedback: null };
+  return { value: match[1].trim(), feedback: match[2].trim() };
+};
+
+/**
+ * Reads checkbox feedback: "{ selected: ... }, { unselected: ... }", or a
+ * single text shown when the choice is selected
+ * @param {string} feedback - Text between {{ and }}
+ * @return {Array<Object>} choicehint elements
+ */
+const checkboxHints = (feedback) =>
+  feedback
+    .split(/\}\s*,\s*\{/)
+    .map((part) => part.replace(/^\s*\{|\}\s*$/g, "").trim())
+    .map((part) => {
+      const match = part.match(/^(selected|unselected|s|u)\s*:\s*(.*)$/is);
+      const selected = !match || match[1].toLowerCase().startsWith("s");
+      return element("choicehint", { selected: String(selected) }, [
+        text(match ? match[2].trim() : part),
+      ]);
+    })
+    .filter((hint) => hint.children[0].text);
+
+/**
+ * Builds a dropdown option: "(text)" is the correct one
+ * @param {string} line - Option as written, with optional {{ feedback }}
+ * @return {Object|null} option element, or null for an empty option
+ */
+const dropdownOption = (line) => {
+  const { value, feedback } = splitFeedback(line);
+  if (!value) return null;
+  const correct = /^\(.*\)$/s.test(value);
+  return element("option", { correct: String(correct) }, [
+    text(correct ? value.slice(1, -1).trim() : value),
+    ...(feedback ? [element("optionhint", {}, [text(feedback)])] : []),
+  ]);
+};
+
+/**
+ * Checks whether an answer is graded as a number: a plain number or a range
+ * @param {string} answer - Answer as written
+ * @return {boolean} True for numerical answers
+ */
+const isNumericAnswer = (answer) =>
+  isPlainNumber(answer) ||
+  (/^[[(].*[\])]$/.test(answer) && numericRange(answer) !== null);
+
+/**
+ * Parses Studio's simple editor problem markdown
+ * @param {string} markdown - Value of the problem's markdown attribute
+ * @param {Object} [attrs={}] - Attributes for the problem element (display_name, ...)
+ * @return {Object} problem element of the ordered DOM
+ */
+export function parseProblemMarkdown(markdown, attrs = {}) {
+  const children = [];
+  const hints = [];
+  let paragraph = [];
+  let prompt = []; // label and description of the next question
+  let open = null; // { tag, items } of the question being read
+  let solution = null; // paragraphs of an [explanation] being read
+  let dropdown = null; // options of a multi-line [[ ... ]] being read
+
+  const flushParagraph = () => {
+    if (paragraph.length > 0)
+      children.push(element("p", {}, [text(paragraph.join("\n"))]));
+    paragraph = [];
+  };
+
+  // Starts a question: its prompt, then the group its choices go into
+  const openQuestion = (tag, attrs = {}, group = null, inputs = []) => {
+    flushParagraph();
+    const items = [];
+    const response = element(tag, attrs, [
+      ...prompt,
+      ...(group ? [element(group.tag, group.attrs, items)] : []),
+      ...inputs,
+    ]);
+    children.push(response);
+    prompt = [];
+    open = { tag, items: group ? items : response.children };
+  };
+
+  const closeQuestion = () => {
+    open = null;
+  };
+
+  // Studio starts the detailed solution with an "Explanation" paragraph
+  const flushSolution = () => {
+    const paragraphs = solution
+      .join("\n")
+      .split(/\n\s*\n/)
+      .map((block) => block.trim())
+      .filter(Boolean);
+    children.push(
+      element("solution", {}, [
+        element("div", { class: "detailed-solution" }, [
+          element("p", {}, [text("Explanation")]),
+          ...paragraphs.map((block) => element("p", {}, [text(block)])),
+        ]),
+      ])
+    );
+    solution = null;
+  };
+
+  markdown.split(/\r?\n/).forEach((line) => {
+    const trimmed = line.trim();
+
+    if (solution) {
+      if (/^\[explanation\]$/i.test(trimmed)) flushSolution();
+      else solution.push(line);
+      return;
+    }
+
+    if (dropdown) {
+      if (trimmed.startsWith("]]")) {
+        openQuestion("optionresponse", {}, { tag: "optioninput", attrs: {} });
+        open.items.push(...dropdown);
+        closeQuestion();
+        dropdown = null;
+      } else {
+        const option = dropdownOption(trimmed);
+        if (option) dropdown.push(option);
+      }
+      return;
+    }
+
+    if (!trimmed) {
+      flushParagraph();
+      return;
+    }
+
+    if (/^-{3,}$/.test(trimmed)) {
+      flushParagraph();
+      closeQuestion();
+      return;
+    }
+
+    // A line of === turns the line above it into a heading
+    if (/^={3,}$/.test(trimmed) && paragraph.length > 0) {
+      const title = paragraph.pop();
+      flushParagraph();
+      children.push(element("h3", {}, [text(title)]));
+      return;
+    }
+
+    const label = trimmed.match(/^>>(.*?)<<$/);
+    if (label) {
+      flushParagraph();
+      closeQuestion();
+      const [labelText, description] = label[1].split("||");
+      prompt = [
+        element("label", {}, [text(labelText.trim())]),
+        ...(description?.trim()
+          ? [element("description", {}, [text(description.trim())])]
+          : []),
+      ];
+      return;
+    }
+
+    if (/^\[explanation\]$/i.test(trimmed)) {
+      flushParagraph();
+      closeQuestion();
+      solution = [];
+      return;
+    }
+
+    const hint = trimmed.match(/^\|\|(.*)\|\|$/);
+    if (hint) {
+      if (hint[1].trim()) hints.push(hint[1].trim());
+      return;
+    }
+
+    const choice = trimmed.match(/^\(\s*(x?)\s*\)\s*(.*)$/i);
+    if (choice) {
+      if (open?.tag !== "multiplechoiceresponse")
+        openQuestion(
+          "multiplechoiceresponse",
+          {},
+          { tag: "choicegroup", attrs: { type: "MultipleChoice" } }
+        );
+      const { value, feedback } = splitFeedback(choice[2]);
+      open.items.push(
+        element("choice", { correct: String(Boolean(choice[1])) }, [
+          text(value),
+          ...(feedback ? [element("choicehint", {}, [text(feedback)])] : []),
+        ])
+      );
+      return;
+    }
+
+    const checkbox = trimmed.match(/^\[\s*(x?)\s*\]\s*(.*)$/i);
+    if (checkbox) {
+      if (open?.tag !== "choiceresponse")
+        openQuestion("choiceresponse", {}, { tag: "checkboxgroup", attrs: {} });
+      const { value, feedback } = splitFeedback(checkbox[2]);
+      open.items.push(
+        element("choice", { correct: String(Boolean(checkbox[1])) }, [
+          text(value),
+          ...(feedback ? checkboxHints(feedback) : []),
+        ])
+      );
+      return;
+    }
+
+    const combination = trimmed.match(/^\{\{\s*\(\((.*?)\)\)\s*(.*?)\s*\}\}$/);
+    if (combination) {
+      if (open?.tag === "choiceresponse" && combination[2])
+        open.items.push(
+          element("compoundhint", { value: combination[1].trim() }, [
+            text(combination[2]),
+          ])
+        );
+      return;
+    }
+
+    const options = trimmed.match(/^\[\[(.*)\]\]$/);
+    if (options) {
+      closeQuestion();
+      openQuestion("optionresponse", {}, { tag: "optioninput", attrs: {} });
+      open.items.push(
+        ...options[1].split(",").map(dropdownOption).filter(Boolean)
+      );
+      closeQuestion();
+      return;
+    }
+
+    if (trimmed === "[[") {
+      closeQuestion();
+      dropdown = [];
+      return;
+    }
+
+    const answer = trimmed.match(/^(or=|s=|not=|=)\s*(.*)$/i);
+    if (answer) {
+      const marker = answer[1].toLowerCase();
+      const { value } = splitFeedback(answer[2]); // feedback on answers is not kept
+      if (marker === "not=" || !value) return;
+
+      if (marker === "or=") {
+        if (open?.tag === "stringresponse")
+          open.items.splice(
+            open.items.length - 1,
+            0,
+            element("additional_answer", { answer: value })
+          );
+        return;
+      }
+
+      closeQuestion();
+      const [number, tolerance] = value.split("+-").map((part) => part.trim());
+      if (marker === "=" && isNumericAnswer(number))
+        openQuestion("numericalresponse", { answer: number }, null, [
+          ...(tolerance
+            ? [
+                element("responseparam", {
+                  type: "tolerance",
+                  default: tolerance,
+                }),
+              ]
+            : []),
+          element("formulaequationinput"),
+        ]);
+      else
+        openQuestion("stringresponse", { answer: value, type: "ci" }, null, [
+          element("textline", { size: "20" }),
+        ]);
+      return;
+    }
+
+    // Problem text ends the question above it
+    closeQuestion();
+    paragraph.push(trimmed);
+  });
+
+  // Blocks left open at the end are kept as if they were closed
+  if (solution) flushSolution();
+  if (dropdown) {
+    openQuestion("optionresponse", {}, { tag: "optioninput", attrs: {} });
+    open.items.push(...dropdown);
+  }
+  flushParagraph();
+  // A prompt without a question is shown as text
+  children.push(...prompt.map((item) => element("p", {}, item.children)));
+  if (hints.length > 0)
+    children.push(
+      element(
+        "demandhint",
+        {},
+        hints.map((hint) => element("hint", {}, [text(hint)]))
+      )
+    );
+
+  return element("problem", attrs, children);
+}
+
+/*---------------------------------
+Markdown and OLX
+----------------------------------*/
+
+/**
+ * Markdown source of a problem; Studio writes markdown="null" for problems
+ * edited as OLX
+ * @param {Object} problem - problem element
+ * @return {string|null} Simple editor markdown, or null when there is none
+ */
+export const problemMarkdown = (problem) => {
+  const markdown = problem?.attrs?.markdown?.trim();
+  return markdown && markdown !== "null" ? markdown : null;
+};
+
+/**
+ * Reads what each question of a problem accepts: its correct choices or
+ * options, or its accepted answers
+ * @param {Object} problem - problem element
+ * @return {Array<Object>} { tag, answers } per question, answers sorted
+ */
+const answerKey = (problem) =>
+  elementChildren(problem)
+    .filter((child) => child.tag.endsWith("response"))
+    .map((response) => {
+      const clean = (value) => String(value).replace(/\s+/g, " ").trim();
+      const inputs = elementChildren(response).filter((child) =>
+        ["choicegroup", "checkboxgroup", "optioninput"].includes(child.tag)
+      );
+      const correct = inputs
+        .flatMap((input) =>
+          input.tag === "optioninput"
+            ? readOptions(input)
+            : elementChildren(input).filter((child) => child.tag === "choice")
+        )
+        .filter((choice) => isTrue(choice.attrs.correct))
+        .map((choice) => textOf(choice, ["choicehint", "optionhint"]));
+      return {
+        tag: response.tag,
+        answers: [...correct, ...readTextAnswers(response)].map(clean).sort(),
+      };
+    });
+
+/**
+ * Compares the questions of a problem's OLX with those of its markdown
+ * @param {Object} olx - problem element as exported
+ * @param {Object} fromMarkdown - problem element from parseProblemMarkdown
+ * @return {Array<string>} Differences found, empty when they agree
+ */
+export function compareProblemSources(olx, fromMarkdown) {
+  const expected = answerKey(olx);
+  const actual = answerKey(fromMarkdown);
+  if (expected.length !== actual.length)
+    return [
+      `the OLX has ${expected.length} question(s), the markdown ${actual.length}`,
+    ];
+
+  const quote = (answers) => answers.map((a) => `"${a}"`).join(", ") || "none";
+  return expected.flatMap((question, index) => {
+    const other = actual[index];
+    if (question.tag !== other.tag)
+      return [
+        `question ${index + 1} is a ${question.tag} in the OLX but a ${other.tag} in the markdown`,
+      ];
+    if (question.answers.join("\n") !== other.answers.join("\n"))
+      return [
+        `question ${index + 1} accepts ${quote(question.answers)} in the OLX but ${quote(other.answers)} in the markdown`,
+      ];
+    return [];
+  });
+}
+
+/**
+ * Picks the source a problem is converted from. The OLX is used unless it
+ * is empty or preferMarkdown is set; when both are there, disagreeing
+ * questions are recorded in the report.
+ * @param {Object} problem - problem element as exported
+ * @param {Object} [options={}] - Source options
+ * @param {boolean} [options.preferMarkdown=false] - Convert the markdown when there is any
+ * @param {Object|null} [options.report=null] - Conversion report for mismatches
+ * @param {string} [options.file] - File the problem comes from
+ * @return {Object} problem element to convert
+ */
+export function problemSource(problem, options = {}) {
+  const { preferMarkdown = false, report = null, file } = options;
+  const markdown = problemMarkdown(problem);
+  if (!markdown) return problem;
+
+  const { markdown: _, ...attrs } = problem.attrs;
+  const fromMarkdown = parseProblemMarkdown(markdown, attrs);
+  if (elementChildren(problem).length === 0 && !textOf(problem).trim())
+    return fromMarkdown;
+
+  const differences = compareProblemSources(problem, fromMarkdown);
+  if (differences.length > 0)
+    report?.add(
+      "markdown-mismatch",
+      `Problem markdown does not match its OLX: ${differences.join("; ")}`,
+      { file }
+    );
+
+  return preferMarkdown ? fromMarkdown : problem;
+}
@@ -0,0 +1,790 @@
+// questionbank.js
+import path from "path";
+import { isBoilerplate } from "./boilerplate.js";
+import { nodeFs } from "./coursefs.js";
+import { numericRange, readTolerance, tidyNumber } from "./numericanswer.js";
+import { problemSource } from "./problemmarkdown.js";
+import {
+  elementChildren,
+  isTrue,
+  parseXmlDom,
+  readChoiceHints,
+  readOptions,
+  readTextAnswers,
+  regexpExample,
+  rootElement,
+  textOf,
+} from "./orderedxml.js";
+
+/*---------------------------------
+Problem Model
+----------------------------------*/
+/**
+ * Each OLX problem is read into a plain model that the exporters below work
+ * from, independent of the Markdown output:
+ *
+ *   {
+ *     id, title, file,
+ *     text,                      shared text outside the response blocks
+ *     questions: [{
+ *       id, type,                "multiplechoice" | "checkbox" | "dropdown" |
+ *                                "text" | "numerical"
+ *       prompt, description,
+ *       choices: [{ id, text, correct, feedback: { selected, unselected } }],
+ *       combinationFeedback: [{ choices: ["A", "C"], feedback }],
+ *       answers: [string],       text and numerical answers
+ *       caseSensitive, regexp,   text answers
+ *       tolerance,               numerical: { type: "absolute"|"relative", value }
+ *       range,                   numerical: { min, max, minInclusive, maxInclusive }
+ *     }],
+ *     hints: [string],
+ *     unsupported: [tag],        response types no question could be built for
+ *   }
+ */
+
+/**
+ * Response types the model understands, mapped to their question type
+ * @type {Object}
+ */
+const QUESTION_TYPES = {
+  multiplechoiceresponse: "multiplechoice",
+  choiceresponse: "checkbox",
+  optionresponse: "dropdown",
+  stringresponse: "text",
+  numericalresponse: "numerical",
+};
+
+/**
+ * Every CAPA response type, so unknown ones can be listed as unsupported
+ * @type {Array<string>}
+ */
+export const RESPONSE_TAGS = [
+  ...Object.keys(QUESTION_TYPES),
+  "formularesponse",
+  "customresponse",
+  "symbolicresponse",
+  "imageresponse",
+  "schematicresponse",
+  "coderesponse",
+  "annotationresponse",
+];
+
+/**
+ * Elements inside a response that hold answers or inputs rather than prompt text
+ * @type {Array<string>}
+ */
+const NON_PROMPT_TAGS = [
+  "choicegroup",
+  "checkboxgroup",
+  "optioninput",
+  "textline",
+  "formulaequationinput",
+  "responseparam",
+  "additional_answer",
+  "correcthint",
+  "stringequalhint",
+  "solution",
+  "script",
+];
+
+/**
+ * Choice letter edX uses for the choice at index (A, B, ... Z, AA, ...)
+ * @param {number} index - Zero-based choice index
+ * @return {string} Choice identifier
+ */
+const choiceId = (index) =>
+  (index >= 26 ? choiceId(Math.floor(index / 26) - 1) : "") +
+  String.fromCharCode(65 + (index % 26));
+
+/**
+ * Text of an element, or null when it is empty or template boilerplate
+ * @param {Object} [element] - Ordered DOM element
+ * @param {Array<string|RegExp>} [boilerplate] - Boilerplate patterns (see boilerplate.js)
+ * @return {string|null} Text content
+ */
+const keptText = (element, boilerplate) => {
+  const text = element ? textOf(element) : "";
+  return text && !isBoilerplate(text, boilerplate) ? text : null;
+};
+
+/**
+ * Joins the text blocks of a response or problem that are not answers,
+ * dropping empty and template boilerplate paragraphs
+ * @param {Array<Object>} elements - Ordered DOM elements
+ * @param {Array<string|RegExp>} [boilerplate] - Boilerplate patterns
+ * @return {string} Paragraphs separated by blank lines
+ */
+const joinText = (elements, boilerplate) =>
+  elements
+    .map((element) => keptText(element, boilerplate))
+    .filter(Boolean)
+    .join("\n\n");
+
+/**
+ * Reads the feedback written inside a choice or dropdown option
+ * @param {Object} choice - choice or option element
+ * @param {Array<string|RegExp>} [boilerplate] - Boilerplate patterns
+ * @return {Object} { selected, unselected } feedback texts, null when there is none
+ */
+const choiceFeedback = (choice, boilerplate) => {
+  const feedback = { selected: null, unselected: null };
+  readChoiceHints(choice).forEach(({ hint, selected }) => {
+    feedback[selected ? "selected" : "unselected"] = keptText(
+      hint,
+      boilerplate
+    );
+  });
+  return feedback;
+};
+
+/**
+ * Reads the choices of a choicegroup/checkboxgroup with their feedback
+ * @param {Object} group - choicegroup or checkboxgroup element
+ * @param {Array<string|RegExp>} [boilerplate] - Boilerplate patterns
+ * @return {Array<Object>} Choices in authored order
+ */
+const readChoices = (group, boilerplate) =>
+  elementChildren(group)
+    .filter((child) => child.tag === "choice")
+    .map((choice, index) => ({
+      id: choiceId(index),
+      text: textOf(choice, ["choicehint"]),
+      correct: isTrue(choice.attrs.correct),
+      feedback: choiceFeedback(choice, boilerplate),
+    }));
+
+/**
+ * Reads the options of a dropdown (see readOptions) as choices
+ * @param {Object} input - optioninput element
+ * @param {Array<string|RegExp>} [boilerplate] - Boilerplate patterns
+ * @return {Array<Object>} Options as choices
+ */
+const readDropdownChoices = (input, boilerplate) =>
+  readOptions(input).map((option, index) => ({
+    id: choiceId(index),
+    text: textOf(option, ["optionhint"]),
+    correct: isTrue(option.attrs.correct),
+    feedback: choiceFeedback(option, boilerplate),
+  }));
+
+/**
+ * Builds the question model for one response block
+ * @param {Object} response - Response element (e.g. multiplechoiceresponse)
+ * @param {string} id - Question identifier
+ * @param {Array<string|RegExp>} [boilerplate] - Boilerplate patterns
+ * @return {Object} Question model
+ */
+function readQuestion(response, id, boilerplate) {
+  const children = elementChildren(response);
+  const find = (...tags) => children.find((child) => tags.includes(child.tag));
+
+  const description = find("description");
+  const promptElements = children.filter(
+    (child) => child !== description && !NON_PROMPT_TAGS.includes(child.tag)
+  );
+
+  const question = {
+    id,
+    type: QUESTION_TYPES[response.tag],
+    prompt: joinText(promptElements, boilerplate),
+    description: keptText(description, boilerplate) ?? "",
+  };
+
+  if (question.type === "multiplechoice" || question.type === "checkbox") {
+    const group = find("choicegroup", "checkboxgroup");
+    question.choices = group ? readChoices(group, boilerplate) : [];
+    question.combinationFeedback = elementChildren(group)
+      .filter((child) => child.tag === "compoundhint")
+      .map((hint) => ({
+        choices: (hint.attrs.value ?? "").trim().split(/\s+/),
+        feedback: keptText(hint, boilerplate),
+      }))
+      .filter((combination) => combination.feedback);
+  }
+
+  if (question.type === "dropdown") {
+    const input = find("optioninput");
+    question.choices = input ? readDropdownChoices(input, boilerplate) : [];
+  }
+
+  if (question.type === "text") {
+    const flags = (response.attrs.type ?? "").toLowerCase().split(/\s+/);
+    question.answers = readTextAnswers(response);
+    question.caseSensitive = !flags.includes("ci");
+    question.regexp = flags.includes("regexp");
+  }
+
+  if (question.type === "numerical") {
+    question.answers = [response.attrs.answer].filter(Boolean);
+    question.tolerance = readTolerance(response);
+    question.range = numericRange(question.answers[0], question.tolerance);
+  }
+
+  return question;
+}
+
+/**
+ * Builds the problem model from problem XML
+ * @param {string} xml - Problem OLX (<problem>...</problem>)
+ * @param {Object} [meta={}] - Problem identity ({ id, title, file })
+ * @param {Object} [options={}] - Reading options
+ * @param {Array<string|RegExp>} [options.boilerplate] - Template text to leave
+ *   out (see boilerplate.js, defaults to Studio's templates)
+ * @param {boolean} [options.preferMarkdown=false] - Read the problem's simple
+ *   editor markdown when it has any (see problemmarkdown.js)
+ * @return {Object|null} Problem model, or null when there is no <problem>
+ */
+export function readProblem(xml, meta = {}, options = {}) {
+  const { boilerplate, preferMarkdown } = options;
+  const root = rootElement(parseXmlDom(xml));
+  if (!root || root.tag !== "problem") return null;
+
+  const problem = problemSource(root, { preferMarkdown });
+
+  const children = elementChildren(problem);
+  const responses = children.filter((child) =>
+    RESPONSE_TAGS.includes(child.tag)
+  );
+  const supported = responses.filter((child) => QUESTION_TYPES[child.tag]);
+  const id = meta.id ?? null;
+
+  return {
+    id,
+    title: meta.title ?? problem.attrs.display_name ?? null,
+    file: meta.file ?? null,
+    text: joinText(
+      children.filter(
+        (child) =>
+          !RESPONSE_TAGS.includes(child.tag) &&
+          !["demandhint", "solution", "script"].includes(child.tag)
+      ),
+      boilerplate
+    ),
+    questions: supported.map((response, index) =>
+      readQuestion(
+        response,
+        supported.length > 1 ? `${id}_${index + 1}` : String(id),
+        boilerplate
+      )
+    ),
+    hints: children
+      .filter((child) => child.tag === "demandhint")
+      .flatMap((demandhint) =>
+        elementChildren(demandhint)
+          .filter((hint) => hint.tag === "hint")
+          .map((hint) => keptText(hint, boilerplate))
+          .filter(Boolean)
+      ),
+    unsupported: responses
+      .filter((child) => !QUESTION_TYPES[child.tag])
+      .map((child) => child.tag),
+  };
+}
+
+/**
+ * Collects the problem models of every problem in a course tree, in course order
+ * @param {Object} tree - Course tree from loadCourse/buildTree
+ * @param {Object} [fs=nodeFs] - Course file system the tree was read from
+ * @param {Object} [options={}] - Reading options passed to readProblem
+ *   (boilerplate, preferMarkdown)
+ * @return {Array<Object>} Problem models, each with a unique id
+ */
+export function collectProblems(tree, fs = nodeFs, options = {}) {
+  const problems = [];
+
+  // Inline problems without a url_name are named after their parent's file,
+  // so an id that is already taken gets a counter (v, v_2, v_3, ...)
+  const ids = new Set();
+  const uniqueId = (id) => {
+    let unique = id;
+    for (let count = 2; ids.has(unique); count++) unique = `${id}_${count}`;
+    ids.add(unique);
+    return unique;
+  };
+
+  const visit = (node) => {
+    if (node.type === "problem") {
+      const xml =
+        node.xml ??
+        (node.file && fs.exists(node.file) ? fs.read(node.file, "utf-8") : "");
+      const problem = xml
+        ? readProblem(
+            xml,
+            {
+              id: uniqueId(
+                node.url_name ?? path.basename(node.file ?? "", ".xml")
+              ),
+              title: node.display_name,
+              file: node.file,
+            },
+            options
+          )
+        : null;
+      if (problem) problems.push(problem);
+    }
+    (node.children ?? []).forEach(visit);
+  };
+
+  if (tree) visit(tree);
+  return problems;
+}
+
+/**
+ * Full question text: shared problem text, prompt and description
+ * @param {Object} problem - Problem model
+ * @param {Object} question - Question model
+ * @return {string} Question text
+ */
+const questionText = (problem, question) =>
+  [problem.text, question.prompt, question.description]
+    .filter(Boolean)
+    .join("\n\n");
+
+/**
+ * Lists every question with the problem it comes from
+ * @param {Array<Object>} problems - Problem models
+ * @return {Array<Object>} { problem, question, title } in order
+ */
+const allQuestions = (problems) =>
+  problems.flatMap((problem) =>
+    problem.questions.map((question, index) => ({
+      problem,
+      question,
+      title:
+        problem.questions.length > 1
+          ? `${problem.title || problem.id} (${index + 1})`
+          : problem.title || problem.id,
+    }))
+  );
+
+/*---------------------------------
+JSON Export
+----------------------------------*/
+
+/**
+ * Exports problem models as a JSON question bank
+ * @param {Array<Object>} problems - Problem models from collectProblems
+ * @return {string} Pretty printed JSON
+ */
+export const toJson = (problems) => JSON.stringify({ problems }, null, 2);
+
+/*---------------------------------
+GIFT Export (Moodle)
+----------------------------------*/
+
+/**
+ * Escapes GIFT's special characters
+ * @param {string} text - Plain text
+ * @return {string} Escaped text
+ */
+const giftEscape = (text) =>
+  String(text ?? "")
+    .replace(/([~=#{}:\\])/g, "\\$1")
+    .replace(/\n/g, "\\n");
+
+/**
+ * Formats a GIFT answer weight, GIFT accepts up to five decimals
+ * @param {number} percent - Weight in percent
+ * @return {string} Weight like %50% or %-33.33333%
+ */
+const giftWeight = (percent) => `%${Number(percent.toFixed(5)).toString()}%`;
+
+/**
+ * Feedback suffix for a GIFT answer
+ * @param {string|null} feedback - Feedback text
+ * @return {string} "#feedback" or ""
+ */
+const giftFeedback = (feedback) =>
+  feedback ? ` #${giftEscape(feedback)}` : "";
+
+/**
+ * Builds the GIFT answer block of a question
+ * @param {Object} question - Question model
+ * @return {string|null} Answer block without braces, or null if not exportable
+ */
+function giftAnswers(question) {
+  const choices = question.choices ?? [];
+
+  if (question.type === "multiplechoice" || question.type === "dropdown") {
+    return choices
+      .map(
+        (choice) =>
+          `${choice.correct ? "=" : "~"}${giftEscape(choice.text)}${giftFeedback(
+            choice.feedback.selected
+          )}`
+      )
+      .join("\n  ");
+  }
+
+  if (question.type === "checkbox") {
+    // Correct choices share 100%, wrong ones share -100%
+    const right = choices.filter((choice) => choice.correct).length;
+    const wrong = choices.length - right;
+    return choices
+      .map(
+        (choice) =>
+          `~${giftWeight(
+            choice.correct ? 100 / right : -100 / wrong
+          )}${giftEscape(choice.text)}${giftFeedback(choice.feedback.selected)}`
+      )
+      .join("\n  ");
+  }
+
+  if (question.type === "text") {
+    // GIFT short answers are always case-insensitive and cannot be patterns
+    if (question.regexp) return null;
+    return question.answers.map((answer) => `=${giftEscape(answer)}`).join(" ");
+  }
+
+  if (question.type === "numerical") {
+    const { range } = question;
+    if (!range) return null;
+
+    if (range.min === range.max) return `#${range.min}`;
+    // GIFT ranges always include their bounds, so "(5, 7)" becomes 5..7
+    if (/^[[(]/.test(question.answers[0].trim()))
+      return `#${range.min}..${range.max}`;
+
+    const answer = tidyNumber((range.min + range.max) / 2);
+    return `#${answer}:${tidyNumber(range.max - answer)}`;
+  }
+
+  return null;
+}
+
+/**
+ * Exports problem models in Moodle's GIFT format. Questions GIFT cannot
+ * express (regular expression answers) are left out with a comment;
+ * case-sensitive text answers are exported with a comment, as GIFT short
+ * answers accept any case.
+ * @param {Array<Object>} problems - Problem models from collectProblems
+ * @return {string} GIFT question file
+ */
+export function toGift(problems) {
+  return allQuestions(problems)
+    .map(({ problem, question, title }) => {
+      const answers = giftAnswers(question);
+      if (answers === null)
+        return `// ${title}: ${question.type} question cannot be expressed in GIFT`;
+
+      const text = giftEscape(questionText(problem, question));
+      const note =
+        question.type === "text" && question.caseSensitive
+          ? `// ${title}: answers are case-sensitive in edX but not in GIFT\n`
+          : "";
+      return `${note}::${giftEscape(title)}::${text} {\n  ${answers}\n}`;
+    })
+    .join("\n\n")
+    .concat("\n");
+}
+
+/*---------------------------------
+QTI 2.1 Export
+----------------------------------*/
+
+/**
+ * Escapes text for XML content and attribute values
+ * @param {string} text - Plain text
+ * @return {string} Escaped text
+ */
+const xmlEscape = (text) =>
+  String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+/**
+ * Identifier safe for QTI (NCName)
+ * @param {string} id - Problem/question id
+ * @return {string} Identifier
+ */
+const qtiIdentifier = (id) => `Q_${String(id).replace(/[^\w.-]/g, "_")}`;
+
+/**
+ * Question text as QTI item body paragraphs
+ * @param {string} text - Question text
+ * @return {string} <p> elements
+ */
+const qtiParagraphs = (text) =>
+  text
+    .split("\n\n")
+    .filter(Boolean)
+    .map((paragraph) => `    <p>${xmlEscape(paragraph)}</p>`)
+    .join("\n");
+
+/**
+ * Turns an edX answer pattern into an XML Schema pattern, the dialect of
+ * QTI's patternMatch. Both match the whole answer, so the ^ and $ anchors
+ * edX patterns usually carry are dropped.
+ * @param {string} pattern - Regular expression as written in the OLX
+ * @return {string|null} XML Schema pattern, or null when the pattern uses
+ *   syntax XML Schema lacks ((?...) groups, \b, lazy quantifiers, inner anchors)
+ */
+const qtiPattern = (pattern) => {
+  const body = pattern.replace(/^\^/, "").replace(/(^|[^\\])\$$/, "$1");
+  if (/\(\?|\\[bBAzZG]|[*+?}]\?|(^|[^\\[])[$^]/.test(body)) return null;
+  return body;
+};
+
+/**
+ * Builds the declarations, interaction and response processing of a question
+ * @param {Object} question - Question model
+ * @return {Object|null} { declarations, interaction, processing } or null
+ */
+function qtiParts(question) {
+  const choices = question.choices ?? [];
+  const correctIds = choices.filter((c) => c.correct).map((c) => c.id);
+  const matchCorrect = `  <responseProcessing template="http://www.imsglobal.org/question/qti_v2p1/rptemplates/match_correct"/>`;
+  const scoreOutcome = `  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float"/>`;
+
+  const correctResponse = (values) =>
+    `    <correctResponse>\n${values
+      .map((value) => `      <value>${xmlEscape(value)}</value>`)
+      .join("\n")}\n    </correctResponse>`;
+
+  if (["multiplechoice", "checkbox"].includes(question.type)) {
+    const cardinality = question.type === "checkbox" ? "multiple" : "single";
+    const simpleChoices = choices
+      .map((choice) => {
+        const feedback = choice.feedback.selected
+          ? `<feedbackInline outcomeIdentifier="FEEDBACK" identifier="${choice.id}" showHide="show"> ${xmlEscape(
+              choice.feedback.selected
+            )}</feedbackInline>`
+          : "";
+        return `      <simpleChoice identifier="${choice.id}">${xmlEscape(
+          choice.text
+        )}${feedback}</simpleChoice>`;
+      })
+      .join("\n");
+
+    return {
+      declarations: [
+        `  <responseDeclaration identifier="RESPONSE" cardinality="${cardinality}" baseType="identifier">\n${correctResponse(
+          correctIds
+        )}\n  </responseDeclaration>`,
+        scoreOutcome,
+        `  <outcomeDeclaration identifier="FEEDBACK" cardinality="${cardinality}" baseType="identifier"/>`,
+      ],
+      interaction: `    <choiceInteraction responseIdentifier="RESPONSE" shuffle="false" maxChoices="${
+        cardinality === "single" ? 1 : 0
+      }">\n${simpleChoices}\n    </choiceInteraction>`,
+      // Score the answer and show the feedback of the chosen choices
+      processing: `  <responseProcessing>
+    <responseCondition>
+      <responseIf>
+        <match><variable identifier="RESPONSE"/><correct identifier="RESPONSE"/></match>
+        <setOutcomeValue identifier="SCORE"><baseValue baseType="float">1</baseValue></setOutcomeValue>
+      </responseIf>
+      <responseElse>
+        <setOutcomeValue identifier="SCORE"><baseValue baseType="float">0</baseValue></setOutcomeValue>
+      </responseElse>
+    </responseCondition>
+    <setOutcomeValue identifier="FEEDBACK"><variable identifier="RESPONSE"/></setOutcomeValue>
+  </responseProcessing>`,
+    };
+  }
+
+  if (question.type === "dropdown") {
+    const inlineChoices = choices
+      .map(
+        (choice) =>
+          `<inlineChoice identifier="${choice.id}">${xmlEscape(
+            choice.text
+          )}</inlineChoice>`
+      )
+      .join("");
+
+    return {
+      declarations: [
+        `  <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="identifier">\n${correctResponse(
+          correctIds
+        )}\n  </responseDeclaration>`,
+        scoreOutcome,
+      ],
+      interaction: `    <p><inlineChoiceInteraction responseIdentifier="RESPONSE" shuffle="false">${inlineChoices}</inlineChoiceInteraction></p>`,
+      processing: matchCorrect,
+    };
+  }
+
+  if (question.type === "text") {
+    // XML Schema patterns cannot ignore case
+    const patterns = question.regexp ? question.answers.map(qtiPattern) : [];
+    if (question.regexp && (!question.caseSensitive || patterns.includes(null)))
+      return null;
+
+    // Any accepted answer (or pattern) scores
+    const conditions = question.answers
+      .map((answer, index) =>
+        question.regexp
+          ? `<patternMatch pattern="${xmlEscape(
+              patterns[index]
+            )}"><variable identifier="RESPONSE"/></patternMatch>`
+          : `<stringMatch caseSensitive="${question.caseSensitive}"><variable identifier="RESPONSE"/><baseValue baseType="string">${xmlEscape(
+              answer
+            )}</baseValue></stringMatch>`
+      )
+      .map((condition) => `          ${condition}`)
+      .join("\n");
+
+    // A pattern's correct response is an answer it accepts, when there is a
+    // literal one
+    const example = question.regexp
+      ? regexpExample(question.answers[0] ?? "")
+      : question.answers[0];
+    const declaration =
+      example === null || example === undefined
+        ? `  <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="string"/>`
+        : `  <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="string">\n${correctResponse(
+            [example]
+          )}\n  </responseDeclaration>`;
+
+    return {
+      declarations: [declaration, scoreOutcome],
+      interaction: `    <p><textEntryInteraction responseIdentifier="RESPONSE" expectedLength="20"/></p>`,
+      processing: `  <responseProcessing>
+    <responseCondition>
+      <responseIf>
+        <or>
+${conditions}
+        </or>
+        <setOutcomeValue identifier="SCORE"><baseValue baseType="float">1</baseValue></setOutcomeValue>
+      </responseIf>
+      <responseElse>
+        <setOutcomeValue identifier="SCORE"><baseValue baseType="float">0</baseValue></setOutcomeValue>
+      </responseElse>
+    </responseCondition>
+  </responseProcessing>`,
+    };
+  }
+
+  if (question.type === "numerical") {
+    const { range, tolerance } = question;
+    if (!range) return null;
+
+    const answer = tidyNumber((range.min + range.max) / 2);
+    const isRange = /^[[(]/.test(question.answers[0].trim());
+    const bound = (operator, value) =>
+      `<${operator}><variable identifier="RESPONSE"/><baseValue baseType="float">${value}</baseValue></${operator}>`;
+
+    let condition;
+    if (isRange) {
+      const lower = bound(range.minInclusive ? "gte" : "gt", range.min);
+      const upper = bound(range.maxInclusive ? "lte" : "lt", range.max);
+      condition = `<and>${lower}${upper}</and>`;
+    } else {
+      const toleranceAttrs = tolerance
+        ? `toleranceMode="${tolerance.type}" tolerance="${tolerance.value} ${tolerance.value}"`
+        : `toleranceMode="exact"`;
+      condition = `<equal ${toleranceAttrs}><variable identifier="RESPONSE"/><correct identifier="RESPONSE"/></equal>`;
+    }
+
+    return {
+      declarations: [
+        `  <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="float">\n${correctResponse(
+          [answer]
+        )}\n  </responseDeclaration>`,
+        scoreOutcome,
+      ],
+      interaction: `    <p><textEntryInteraction responseIdentifier="RESPONSE" expectedLength="10"/></p>`,
+      processing: `  <responseProcessing>
+    <responseCondition>
+      <responseIf>
+        ${condition}
+        <setOutcomeValue identifier="SCORE"><baseValue baseType="float">1</baseValue></setOutcomeValue>
+      </responseIf>
+      <responseElse>
+        <setOutcomeValue identifier="SCORE"><baseValue baseType="float">0</baseValue></setOutcomeValue>
+      </responseElse>
+    </responseCondition>
+  </responseProcessing>`,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Exports problem models as an IMS QTI 2.1 content package: one
+ * assessmentItem file per question plus the imsmanifest.xml listing them.
+ * Questions QTI cannot express (case-insensitive regular expression answers,
+ * patterns XML Schema cannot read) are left out with a comment in the manifest.
+ * @param {Array<Object>} problems - Problem models from collectProblems
+ * @return {Array<Object>} Files to write ({ file, content })
+ */
+export function toQti(problems) {
+  const skipped = [];
+  const items = allQuestions(problems)
+    .map(({ problem, question, title }) => {
+      const parts = qtiParts(question);
+      if (!parts) {
+        skipped.push(
+          `    <!-- ${xmlEscape(title).replace(/--/g, "- -")}: ${question.type} question cannot be expressed in QTI -->`
+        );
+        return null;
+      }
+
+      const identifier = qtiIdentifier(question.id);
+      const content = `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentItem xmlns="http://www.imsglobal.org/xsd/imsqti_v2p1"
+  xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+  xsi:schemaLocation="http://www.imsglobal.org/xsd/imsqti_v2p1 http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd"
+  identifier="${identifier}" title="${xmlEscape(
+    title
+  )}" adaptive="false" timeDependent="false">
+${parts.declarations.join("\n")}
+  <itemBody>
+${qtiParagraphs(questionText(problem, question))}
+${parts.interaction}
+  </itemBody>
+${parts.processing}
+</assessmentItem>
+`;
+      return { identifier, file: `items/${identifier}.xml`, content };
+    })
+    .filter(Boolean);
+
+  const resources = items
+    .map(
+      (
+        item
+      ) => `    <resource identifier="${item.identifier}" type="imsqti_item_xmlv2p1" href="${item.file}">
+      <file href="${item.file}"/>
+    </resource>`
+    )
+    .concat(skipped)
+    .join("\n");
+
+  const manifest = `<?xml version="1.0" encoding="UTF-8"?>
+<manifest xmlns="http://www.imsglobal.org/xsd/imscp_v1p1"
+  xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+  xsi:schemaLocation="http://www.imsglobal.org/xsd/imscp_v1p1 http://www.imsglobal.org/xsd/qti/qtiv2p1/qtiv2p1_imscpv1p2_v1p0.xsd"
+  identifier="MANIFEST">
+  <organizations/>
+  <resources>
+${resources}
+  </resources>
+</manifest>
+`;
+
+  return [
+    { file: "imsmanifest.xml", content: manifest },
+    ...items.map(({ file, content }) => ({ file, content })),
+  ];
+}
+
+/**
+ * Question bank formats and the files each one writes
+ * @type {Object}
+ */
+export const QUESTION_BANK_FORMATS = {
+  json: (problems) => [{ file: "questions.json", content: toJson(problems) }],
+  gift: (problems) => [
+    { file: "questions.gift.txt", content: toGift(problems) },
+  ],
+  qti: (problems) =>
+    toQti(problems).map(({ file, content }) => ({
+      file: `qti/${file}`,
+      content,
+    })),
+};
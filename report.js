@@ -0,0 +1,293 @@
+// report.js
+import path from "path";
+import { nodeFs } from "./coursefs.js";
+
+/*---------------------------------
+Conversion Report
+----------------------------------*/
+/**
+ * Everything that could not be converted cleanly is collected into a report
+ * instead of being scattered over the console. Each entry is
+ *
+ *   { kind, message, trail, file?, url_name?, tag?, ref? }
+ *
+ * where trail is the tree path it was found under (chapter › sequential ›
+ * vertical titles) and kind is one of REPORT_KINDS.
+ */
+
+/**
+ * Kinds of report entries, with the label used in the printed summary
+ * @type {Object}
+ */
+export const REPORT_KINDS = {
+  "missing-file": "Missing files",
+  "parse-error": "XML parse errors",
+  unsupported: "Unsupported components",
+  "missing-image": "Unresolved images",
+  "broken-link": "Broken links",
+  omitted: "Omitted problem content",
+  "markdown-mismatch": "Problem markdown not matching the OLX",
+};
+
+/**
+ * Kinds that mean course content is missing from the Markdown; any of them
+ * fails a strict conversion
+ * @type {Array<string>}
+ */
+export const DATA_LOSS_KINDS = [
+  "missing-file",
+  "parse-error",
+  "unsupported",
+  "omitted",
+];
+
+/**
+ * Error thrown by a strict conversion that would lose course content
+ */
+export class ConversionError extends Error {
+  /**
+   * @param {string} message - Summary of what failed
+   * @param {Array<Object>} entries - The report entries that caused it
+   */
+  constructor(message, entries) {
+    super(
+      [message, ...entries.map((entry) => `  - ${formatEntry(entry)}`)].join(
+        "\n"
+      )
+    );
+    this.name = "ConversionError";
+    this.entries = entries;
+  }
+}
+
+/**
+ * Throws a ConversionError when the report holds any data loss
+ * @param {Object} report - Reporter from createReport
+ * @param {string} source - Course or input the report belongs to
+ */
+export function assertNoDataLoss(report, source) {
+  const lost = report.entries.filter((entry) =>
+    DATA_LOSS_KINDS.includes(entry.kind)
+  );
+  if (lost.length > 0)
+    throw new ConversionError(
+      `Strict mode: ${lost.length} issue(s) would lose content from ${source}`,
+      lost
+    );
+}
+
+/**
+ * Creates an empty report. The returned reporter records entries at the
+ * root of the course; reporter.at(title) returns one that records entries
+ * one level deeper in the tree, sharing the same entry list.
+ * @return {Object} Reporter with entries, trail, add(kind, message, details) and at(title)
+ */
+export function createReport() {
+  const entries = [];
+
+  const scoped = (trail) => ({
+    entries,
+    trail,
+    add: (kind, message, details = {}) =>
+      entries.push({ kind, message, trail, ...details }),
+    at: (title) => scoped([...trail, title]),
+  });
+
+  return scoped([]);
+}
+
+/**
+ * Records an issue in the report, or prints it as a warning when there is no
+ * report to collect it (e.g. building a tree on its own)
+ * @param {Object|null} report - Reporter from createReport, if any
+ * @param {string} kind - One of REPORT_KINDS
+ * @param {string} message - Description of the issue
+ * @param {Object} [details={}] - Extra fields (file, url_name, tag, ref)
+ */
+export function reportIssue(report, kind, message, details = {}) {
+  if (report) report.add(kind, message, details);
+  else console.warn(details.file ? `${message}: ${details.file}` : message);
+}
+
+/*---------------------------------
+Image and Link Checks
+----------------------------------*/
+
+/**
+ * Lists the values of an attribute on the given tags in a piece of markup
+ * @param {string} markup - HTML or problem XML
+ * @param {string} tag - Tag name (e.g. "img")
+ * @param {string} attribute - Attribute name (e.g. "src")
+ * @return {Array<string>} Attribute values in document order
+ */
+const attributeValues = (markup, tag, attribute) =>
+  [
+    ...markup.matchAll(
+      new RegExp(
+        `<${tag}\\b[^>]*?\\s${attribute}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`,
+        "gi"
+      )
+    ),
+  ].map((match) => (match[1] ?? match[2]).trim());
+
+/**
+ * Maps a course-relative reference (/static/x.png, /c4x/.../asset/x.png,
+ * asset-v1:...+type@asset+block@x.png) to the file name in the static folder
+ * @param {string} ref - Value of a src or href attribute
+ * @return {string|null} Static file name, or null for other references
+ */
+const staticFileName = (ref) => {
+  let clean = ref.split(/[?#]/)[0];
+  try {
+    clean = decodeURIComponent(clean);
+  } catch {
+    // Keep malformed escapes as written
+  }
+  const match =
+    clean.match(/^\/?static\/(.+)$/) ||
+    clean.match(/\/asset\/(.+)$/) ||
+    clean.match(/type@asset\+block@(.+)$/);
+  return match ? match[1] : null;
+};
+
+/**
+ * Checks whether a reference leaves the course export (web, mail, anchors)
+ * @param {string} ref - Value of a src or href attribute
+ * @return {boolean} True for references that need no checking
+ */
+const isExternal = (ref) =>
+  !ref || ref.startsWith("#") || /^(?:[a-z][a-z\d+.-]*:|\/\/)/i.test(ref);
+
+/**
+ * Checks the images and links in one piece of content against the course
+ * static folder and records the ones the Markdown cannot resolve
+ * @param {string} markup - HTML or problem XML
+ * @param {Object} details - Where the content comes from ({ file })
+ * @param {Object} options - { fs, staticDir, report }
+ */
+function checkMarkup(markup, details, { fs, staticDir, report }) {
+  const hasStatic = (name) => fs.exists(path.join(staticDir, name));
+
+  attributeValues(markup, "img", "src").forEach((src) => {
+    if (/^(?:https?:)?\/\//i.test(src) || src.startsWith("data:")) return;
+    const name = staticFileName(src) ?? src;
+    if (!hasStatic(name))
+      report.add("missing-image", "Image not found in static folder", {
+        ...details,
+        ref: src,
+      });
+  });
+
+  attributeValues(markup, "a", "href").forEach((href) => {
+    if (isExternal(href)) return;
+    const name = staticFileName(href);
+    if (name && hasStatic(name)) return;
+    report.add(
+      "broken-link",
+      name
+        ? "Linked file not found in static folder"
+        : "Course link cannot be resolved outside the LMS",
+      { ...details, ref: href }
+    );
+  });
+}
+
+/**
+ * Walks a course tree checking the images and links in its HTML and problem
+ * content, recording unresolved ones under the node's tree path
+ * @param {Object} tree - Course tree from loadCourse
+ * @param {Object} options - Check options
+ * @param {Object} options.report - Reporter from createReport
+ * @param {Object} [options.fs=nodeFs] - Course file system the tree was read from
+ * @param {string} [options.courseRoot=tree.root] - Folder holding static/
+ * @return {Object} The reporter, for chaining
+ */
+export function checkReferences(tree, options) {
+  const { report, fs = nodeFs, courseRoot = tree.root } = options;
+  const staticDir = path.join(courseRoot, "static");
+
+  const visit = (node, reporter) => {
+    const markup =
+      node.html ??
+      node.xml ??
+      (["htmlContent", "problem"].includes(node.type) &&
+      node.file &&
+      fs.exists(node.file)
+        ? fs.read(node.file, "utf-8")
+        : null);
+
+    if (markup)
+      checkMarkup(
+        markup,
+        { file: node.file },
+        { fs, staticDir, report: reporter }
+      );
+
+    const childReporter = [
+      "chapter",
+      "sequential",
+      "vertical",
+      "vertical-container",
+    ].includes(node.type)
+      ? reporter.at(node.display_name || node.url_name)
+      : reporter;
+    (node.children ?? []).forEach((child) => visit(child, childReporter));
+  };
+
+  visit(tree, report);
+  return report;
+}
+
+/*---------------------------------
+Output
+----------------------------------*/
+
+/**
+ * Serializes the report entries as written to report.json
+ * @param {Object} report - Reporter from createReport
+ * @param {Object} [meta={}] - Extra fields for the top of the file (course, input)
+ * @return {string} Pretty printed JSON
+ */
+export function reportToJson(report, meta = {}) {
+  const counts = Object.fromEntries(
+    Object.keys(REPORT_KINDS).map((kind) => [
+      kind,
+      report.entries.filter((entry) => entry.kind === kind).length,
+    ])
+  );
+
+  return JSON.stringify({ ...meta, counts, entries: report.entries }, null, 2);
+}
+
+/**
+ * Formats one report entry as "trail: message (tag url_name ref) in file"
+ * @param {Object} entry - Report entry
+ * @return {string} One line description
+ */
+function formatEntry(entry) {
+  const where = entry.trail.length ? `${entry.trail.join(" › ")}: ` : "";
+  const what = [entry.tag, entry.url_name, entry.ref].filter(Boolean).join(" ");
+  const file = entry.file ? ` in ${entry.file}` : "";
+  return `${where}${entry.message}${what ? ` (${what})` : ""}${file}`;
+}
+
+/**
+ * Formats the report as a human-readable summary grouped by kind
+ * @param {Object} report - Reporter from createReport
+ * @return {string} Summary text ("No issues found" when empty)
+ */
+export function formatReport(report) {
+  if (report.entries.length === 0) return "No issues found";
+
+  const sections = Object.entries(REPORT_KINDS)
+    .map(([kind, label]) => {
+      const entries = report.entries.filter((entry) => entry.kind === kind);
+      if (entries.length === 0) return null;
+
+      const lines = entries.map((entry) => `  - ${formatEntry(entry)}`);
+      return [`${label} (${entries.length}):`, ...lines].join("\n");
+    })
+    .filter(Boolean);
+
+  return [`${report.entries.length} issue(s) found:`, ...sections].join("\n");
+}
@@ -6,7 +6,35 @@ import { strong, em, li, ul, ol } from "./courseconverter";
 import { xmlToMarkdown } from "./courseconverter.js";
 import { XMLParser } from "fast-xml-parser";
 import { htmlHandlers } from "./courseconverter.js";
-import { treeToMarkdown } from "./courseconverter";
+import { treeToMarkdown, treeToPages } from "./courseconverter";
+import { parseCliArgs } from "./cli.js";
+import {
+  buildTree,
+  loadCourse,
+  summarizeUnsupported,
+} from "./convertotreestructure.js";
+import { convertAll, courseSlug, formatSummary } from "./main.js";
+import { createMemoryFs, readArchive } from "./coursefs.js";
+import { parseXmlDom, serializeXmlDom, textOf } from "./orderedxml.js";
+import { isBoilerplate, parseBoilerplatePattern } from "./boilerplate.js";
+import { evaluateFormula, numericRange } from "./numericanswer.js";
+import {
+  collectProblems,
+  readProblem,
+  toGift,
+  toJson,
+  toQti,
+} from "./questionbank.js";
+import { parseProblemMarkdown } from "./problemmarkdown.js";
+import { protectMath } from "./mathjax.js";
+import {
+  assertNoDataLoss,
+  checkReferences,
+  ConversionError,
+  createReport,
+  formatReport,
+  reportToJson,
+} from "./report.js";
 
 /*---------------------------------
  Converting HTML to Markdown with bold, italic and list formating
@@ -129,46 +157,1687 @@ Render Markdown from tree
 ----------------------------------*/
 describe("Render Markdown from course tree", () => {
   test("Extracted course folder renders correctly to Markdown", () => {
-    const courseFolder = path.join(
-      os.homedir(),
-      "Downloads/assignment_comp2140/extractedinputcourses/extraction2/course"
-    );
-
-    function buildTree(folderPath) {
-      const entries = fs.readdirSync(folderPath, { withFileTypes: true });
-
-      const node = {
-        type: "course",
-        display_name: path.basename(folderPath),
-        children: [],
-      };
-
-      entries.forEach((entry) => {
-        const fullPath = path.join(folderPath, entry.name);
-
-        if (entry.isDirectory()) {
-          node.children.push(buildTree(fullPath));
-        } else if (entry.isFile()) {
-          const ext = path.extname(entry.name).toLowerCase();
-          if ([".xml", ".html", ".htm"].includes(ext)) {
-            node.children.push({
-              type: "problem",
-              display_name: entry.name,
-              file: fullPath,
-            });
-          }
-        }
-      });
-
-      return node;
-    }
-
-    const courseTree = buildTree(courseFolder);
+    // Read the bundled course export in memory instead of an extracted folder
+    const archive = "inputcourses/course.0nu25zgw.tar";
+    const courseTree = loadCourse(archive, { fs: readArchive(archive) });
 
     // Render Markdown from the tree
-    const mdOutput = treeToMarkdown(courseTree);
+    const mdOutput = treeToMarkdown(courseTree, { fs: readArchive(archive) });
 
     // Assert that some Markdown was generated
     expect(mdOutput.trim().length).toBeGreaterThan(0);
+    expect(mdOutput).toContain("# Basic Course");
+  });
+});
+
+/*---------------------------------
+Reading course archives in memory
+----------------------------------*/
+describe("Archive file system", () => {
+  const archive = "inputcourses/course.0nu25zgw.tar";
+
+  test("lists and reads archive entries without extracting", () => {
+    const archiveFs = readArchive(archive);
+
+    expect(archiveFs.isDirectory(path.join(archive, "course/chapter"))).toBe(
+      true
+    );
+    expect(archiveFs.readdir(path.join(archive, "course/course"))).toEqual([
+      "S2_2025.xml",
+    ]);
+    const pointer = archiveFs.read(path.join(archive, "course/course.xml"));
+    expect(pointer.toString("utf8")).toBe(
+      `<course url_name="S2_2025" org="aiwonderland" course="AB101"/>`
+    );
+    expect(archiveFs.exists(path.join(archive, "course/missing.xml"))).toBe(
+      false
+    );
+  });
+});
+
+/*---------------------------------
+Command line arguments
+----------------------------------*/
+describe("Command line interface", () => {
+  test("parses convert command with options", () => {
+    const args = parseCliArgs([
+      "convert",
+      "course.tar.gz",
+      "-o",
+      "out",
+      "--images",
+      "img",
+      "--dry-run",
+      "-v",
+    ]);
+
+    expect(args).toEqual({
+      command: "convert",
+      inputs: ["course.tar.gz"],
+      help: false,
+      outDir: "out",
+      imagesDir: "img",
+      workDir: undefined,
+      split: null,
+      toc: false,
+      flavor: "liascript",
+      verticalTitles: true,
+      includeDrafts: false,
+      strict: false,
+      questionBank: [],
+      boilerplate: [],
+      keepBoilerplate: false,
+      solutions: true,
+      preferMarkdown: false,
+      verbosity: 2,
+      dryRun: true,
+    });
+  });
+
+  test("uses default output and image folders", () => {
+    const args = parseCliArgs(["convert", "course"]);
+    expect(args.outDir).toBe("outputcourses");
+    expect(args.imagesDir).toBe("images");
+    expect(args.verbosity).toBe(1);
+  });
+});
+
+/*---------------------------------
+Loading a course from the root course.xml pointer
+----------------------------------*/
+describe("Course entry point discovery", () => {
+  const courseFs = createMemoryFs({
+    course: {
+      "course.xml": `<course url_name="S2_2025" org="aiwonderland" course="AB101"/>`,
+      course: {
+        "S2_2025.xml": `<course display_name="Basic Course"><chapter url_name="ch1"/></course>`,
+      },
+      chapter: { "ch1.xml": `<chapter display_name="Chapter 1"/>` },
+    },
+  });
+
+  test("follows course.xml to the course run file", () => {
+    const tree = loadCourse("/", { fs: courseFs });
+
+    expect(tree.type).toBe("course");
+    expect(tree.display_name).toBe("Basic Course");
+    expect(tree.file).toBe("/course/course/S2_2025.xml");
+    expect(tree.children.map((c) => c.display_name)).toEqual(["Chapter 1"]);
+  });
+
+  test("carries org, course and run into the course node", () => {
+    const tree = loadCourse("/", { fs: courseFs });
+
+    expect(tree.org).toBe("aiwonderland");
+    expect(tree.course).toBe("AB101");
+    expect(tree.run).toBe("S2_2025");
+  });
+});
+
+/*---------------------------------
+Batch conversion of several archives
+----------------------------------*/
+describe("Batch conversion", () => {
+  const silent = { info: () => {}, debug: () => {}, error: () => {} };
+  let dir;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "olx2md-batch-"));
+    fs.copyFileSync(
+      "inputcourses/course.0nu25zgw.tar",
+      path.join(dir, "a.tar")
+    );
+    fs.copyFileSync(
+      "inputcourses/course.0nu25zgw.tar",
+      path.join(dir, "b.tar")
+    );
+    fs.writeFileSync(path.join(dir, "broken.tgz"), "not an archive");
+  });
+
+  afterAll(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  test("names workspaces after org, course and run", () => {
+    expect(
+      courseSlug({ org: "aiwonderland", course: "AB101", run: "S2_2025" })
+    ).toBe("aiwonderland-AB101-S2_2025");
+  });
+
+  test("converts every archive in a folder and keeps going after a failure", async () => {
+    const results = await convertAll([dir], { dryRun: true, log: silent });
+
+    expect(results.map((r) => [path.basename(r.input), r.ok])).toEqual([
+      ["a.tar", true],
+      ["b.tar", true],
+      ["broken.tgz", false],
+    ]);
+    expect(results[0].name).toBe("aiwonderland-AB101-S2_2025");
+    expect(results[1].name).toBe("aiwonderland-AB101-S2_2025-2");
+  });
+});
+
+/*---------------------------------
+Building and rendering a course from an in-memory file system
+----------------------------------*/
+describe("In-memory course file system", () => {
+  const courseFs = createMemoryFs({
+    "course.xml": `<course url_name="run" org="org" course="C1"/>`,
+    "course/run.xml": `<course display_name="Memory Course"><chapter url_name="ch"/></course>`,
+    "chapter/ch.xml": `<chapter display_name="Intro"><sequential url_name="seq"/></chapter>`,
+    "sequential/seq.xml": `<sequential display_name="Lesson"><vertical url_name="v"/></sequential>`,
+    "vertical/v.xml": `<vertical display_name="Unit"><html url_name="h"/><problem url_name="p"/></vertical>`,
+    html: {
+      "h.xml": `<html filename="h"/>`,
+      "h.html": `<p>Hello <strong>world</strong></p>`,
+    },
+    problem: {
+      "p.xml": `<problem><choiceresponse><checkboxgroup><choice correct="true">Yes</choice></checkboxgroup></choiceresponse></problem>`,
+    },
+  });
+
+  test("reads folders and files built from plain objects", () => {
+    expect(courseFs.readdir("/")).toEqual([
+      "chapter",
+      "course",
+      "course.xml",
+      "html",
+      "problem",
+      "sequential",
+      "vertical",
+    ]);
+    expect(courseFs.isDirectory("/html")).toBe(true);
+    expect(courseFs.read("/html/h.html", "utf8")).toContain("Hello");
+    expect(courseFs.exists("/html/missing.html")).toBe(false);
+  });
+
+  test("builds and renders a course without touching the disk", () => {
+    const tree = loadCourse("/", { fs: courseFs });
+    const md = treeToMarkdown(tree, { fs: courseFs });
+
+    expect(md).toContain("# Memory Course");
+    expect(md).toContain("## Intro");
+    expect(md).toContain("Hello **world**");
+    expect(md).toContain("- [[x]] Yes");
+  });
+});
+
+/*---------------------------------
+Splitting a course into one page per chapter/sequential
+----------------------------------*/
+describe("Split output", () => {
+  const courseFs = createMemoryFs({
+    "course.xml": `<course url_name="run"/>`,
+    "course/run.xml": `<course display_name="Split Course"><chapter url_name="a"/><chapter url_name="b"/></course>`,
+    "chapter/a.xml": `<chapter display_name="First Chapter"><sequential url_name="s1"/></chapter>`,
+    "chapter/b.xml": `<chapter display_name="Second Chapter"><sequential url_name="s2"/></chapter>`,
+    "sequential/s1.xml": `<sequential display_name="Lesson One"/>`,
+    "sequential/s2.xml": `<sequential display_name="Lesson Two"/>`,
+  });
+  const tree = loadCourse("/", { fs: courseFs });
+
+  test("writes one page per chapter with an index and SUMMARY", () => {
+    const files = treeToPages(tree, { fs: courseFs });
+
+    expect(files.map((f) => f.file)).toEqual([
+      "index.md",
+      "SUMMARY.md",
+      "01-first-chapter.md",
+      "02-second-chapter.md",
+    ]);
+    expect(files[0].markdown).toContain(
+      "- [First Chapter](01-first-chapter.md)"
+    );
+    expect(files[1].markdown).toContain(
+      "- [Second Chapter](02-second-chapter.md)"
+    );
+    expect(
+      files[2].markdown.startsWith("# First Chapter\n\n## Lesson One")
+    ).toBe(true);
+  });
+
+  test("links each page to the previous and next page", () => {
+    const [, , first, second] = treeToPages(tree, { fs: courseFs });
+
+    expect(first.markdown).toContain(
+      "[Index](index.md) | [Next: Second Chapter →](02-second-chapter.md)"
+    );
+    expect(second.markdown).toContain(
+      "[← Previous: First Chapter](01-first-chapter.md) | [Index](index.md)"
+    );
+  });
+
+  test("can split by sequential, nesting pages under their chapter", () => {
+    const files = treeToPages(tree, { fs: courseFs, splitBy: "sequential" });
+
+    expect(files.map((f) => f.file).slice(2)).toEqual([
+      "01-01-lesson-one.md",
+      "02-01-lesson-two.md",
+    ]);
+    expect(files[0].markdown).toContain(
+      "- First Chapter\n  - [Lesson One](01-01-lesson-one.md)"
+    );
+    expect(files[1].markdown).toContain(
+      "## Second Chapter\n\n- [Lesson Two](02-01-lesson-two.md)"
+    );
+  });
+});
+
+/*---------------------------------
+Table of contents
+----------------------------------*/
+describe("Table of contents", () => {
+  const courseFs = createMemoryFs({
+    "course.xml": `<course url_name="run"/>`,
+    "course/run.xml": `<course display_name="TOC Course"><chapter url_name="a"/><chapter url_name="b"/><chapter url_name="untitled"/></course>`,
+    "chapter/a.xml": `<chapter display_name="Week 1"><sequential url_name="s1"/></chapter>`,
+    "chapter/b.xml": `<chapter display_name="Week 2"><sequential url_name="s2"/></chapter>`,
+    "chapter/untitled.xml": `<chapter><sequential url_name="s1"/></chapter>`,
+    "sequential/s1.xml": `<sequential display_name="Review: Part 1!"/>`,
+    "sequential/s2.xml": `<sequential display_name="Review: Part 1!"/>`,
+  });
+  const tree = loadCourse("/", { fs: courseFs });
+
+  test("is only added when requested", () => {
+    expect(treeToMarkdown(tree, { fs: courseFs })).not.toContain("Contents");
+  });
+
+  test("inserts anchors right after the course title, de-duplicating repeats", () => {
+    const md = treeToMarkdown(tree, { fs: courseFs, toc: true });
+
+    expect(md).toContain(
+      [
+        "# TOC Course",
+        "",
+        "**Contents**",
+        "",
+        "- [Week 1](#week-1)",
+        "  - [Review: Part 1!](#review-part-1)",
+        "- [Week 2](#week-2)",
+        "  - [Review: Part 1!](#review-part-1-1)",
+        "- [untitled.xml](#untitledxml)",
+        "  - [Review: Part 1!](#review-part-1-2)",
+        "",
+        "## Week 1",
+      ].join("\n")
+    );
+  });
+
+  test("links untitled verticals by their file name", () => {
+    const unitsFs = createMemoryFs({
+      "course.xml": `<course url_name="run"/>`,
+      "course/run.xml": `<course display_name="Course"><chapter url_name="c"/></course>`,
+      "chapter/c.xml": `<chapter display_name="Week 1"><sequential url_name="s"/></chapter>`,
+      "sequential/s.xml": `<sequential display_name="Lesson"><vertical url_name="v1"/><vertical url_name="v2"/></sequential>`,
+      "vertical/v1.xml": `<vertical/>`,
+      "vertical/v2.xml": `<vertical/>`,
+    });
+    const md = treeToMarkdown(loadCourse("/", { fs: unitsFs }), {
+      fs: unitsFs,
+      toc: true,
+    });
+
+    expect(md).toContain("    - [v1.xml](#v1xml)\n    - [v2.xml](#v2xml)\n");
+    expect(md).not.toContain("[](#");
+  });
+});
+
+/*---------------------------------
+Vertical (unit) titles and heading levels
+----------------------------------*/
+describe("Vertical titles", () => {
+  test("fall back to the file name, or url_name when written inline", () => {
+    const courseFs = createMemoryFs({
+      "course.xml": `<course url_name="run"/>`,
+      "course/run.xml": `<course display_name="Course"><chapter url_name="c"/></course>`,
+      "chapter/c.xml": `<chapter display_name="Chapter"><sequential url_name="s"/></chapter>`,
+      "sequential/s.xml": `<sequential display_name="Sequential"><vertical url_name="v"/><vertical url_name="inline_unit"><html url_name="h"/></vertical></sequential>`,
+      "vertical/v.xml": `<vertical><html url_name="h"/></vertical>`,
+      "html/h.xml": `<html filename="h"/>`,
+      "html/h.html": `<p>Unit text</p>`,
+    });
+    const md = treeToMarkdown(loadCourse("/", { fs: courseFs }), {
+      fs: courseFs,
+    });
+
+    expect(md).toContain("#### v.xml\n");
+    expect(md).toContain("#### inline_unit\n");
+    expect(md).not.toMatch(/^#+ *$/m);
+  });
+
+  const courseFs = createMemoryFs({
+    "course.xml": `<course url_name="run"/>`,
+    "course/run.xml": `<course display_name="Course"><chapter url_name="c"/></course>`,
+    "chapter/c.xml": `<chapter display_name="Chapter"><sequential url_name="s"/></chapter>`,
+    "sequential/s.xml": `<sequential display_name="Sequential"><vertical url_name="v"/></sequential>`,
+    "vertical/v.xml": `<vertical display_name="Chapter 2 Sequential 3 Vertical"><html url_name="h"/></vertical>`,
+    "html/h.xml": `<html filename="h"/>`,
+    "html/h.html": `<p>Unit text</p>`,
+  });
+  const tree = loadCourse("/", { fs: courseFs });
+
+  test("renders verticals as headings one level below their sequential", () => {
+    const md = treeToMarkdown(tree, { fs: courseFs });
+
+    expect(md).toContain(
+      "# Course\n\n## Chapter\n\n### Sequential\n\n#### Chapter 2 Sequential 3 Vertical\n\nUnit text"
+    );
+  });
+
+  test("can suppress vertical titles", () => {
+    const md = treeToMarkdown(tree, { fs: courseFs, verticalTitles: false });
+
+    expect(md).not.toContain("Chapter 2 Sequential 3 Vertical");
+    expect(md).toContain("### Sequential\n\nUnit text");
+  });
+});
+
+/*---------------------------------
+Component order inside a vertical
+----------------------------------*/
+describe("Component order", () => {
+  test("parses XML into an ordered DOM", () => {
+    const [root] = parseXmlDom(
+      `<vertical display_name="A &amp; B"><html url_name="h"/>text<problem url_name="p"/></vertical>`
+    );
+
+    expect(root.tag).toBe("vertical");
+    expect(root.attrs.display_name).toBe("A & B");
+    expect(root.children.map((c) => c.tag ?? c.text)).toEqual([
+      "html",
+      "text",
+      "problem",
+    ]);
+  });
+
+  test("keeps components in the order they were authored", () => {
+    const courseFs = createMemoryFs({
+      "vertical/v.xml": `<vertical display_name="Unit">
+        <html url_name="intro"/>
+        <video url_name="clip"/>
+        <problem url_name="quiz"/>
+        <html url_name="recap"/>
+      </vertical>`,
+      "html/intro.xml": `<html filename="intro"/>`,
+      "html/intro.html": `<p>Intro text</p>`,
+      "video/clip.xml": `<video display_name="Clip" youtube_id_1_0="abc"/>`,
+      "problem/quiz.xml": `<problem><choiceresponse><checkboxgroup><choice correct="true">Quiz</choice></checkboxgroup></choiceresponse></problem>`,
+      "html/recap.xml": `<html filename="recap"/>`,
+      "html/recap.html": `<p>Recap text</p>`,
+    });
+
+    const tree = buildTree("/vertical/v.xml", "vertical", { fs: courseFs });
+    expect(tree.children.map((c) => c.type)).toEqual([
+      "html",
+      "video",
+      "problem",
+      "html",
+    ]);
+
+    const md = treeToMarkdown(tree, { fs: courseFs });
+    const order = ["Intro text", "!?[Clip]", "[[x]] Quiz", "Recap text"].map(
+      (text) => md.indexOf(text)
+    );
+    expect(order).toEqual([...order].sort((a, b) => a - b));
+    expect(order).not.toContain(-1);
+  });
+});
+
+/*---------------------------------
+Inline (non-pointer) components
+----------------------------------*/
+describe("Inline components", () => {
+  const courseFs = createMemoryFs({
+    "sequential/s.xml": `<sequential display_name="Lesson">
+      <vertical display_name="Inline unit">
+        <html display_name="Notes"><![CDATA[<p>Inline <b>notes</b><br/>here</p>]]></html>
+        <problem display_name="Check">
+          <multiplechoiceresponse>
+            <choicegroup>
+              <choice correct="true">Right</choice>
+              <choice correct="false">Wrong</choice>
+            </choicegroup>
+          </multiplechoiceresponse>
+        </problem>
+        <video display_name="Clip" youtube_id_1_0="abc"/>
+        <discussion display_name="Talk" discussion_category="Week 1"/>
+        <html url_name="h"/>
+      </vertical>
+    </sequential>`,
+    "html/h.xml": `<html filename="h"/>`,
+    "html/h.html": `<p>From a file</p>`,
+  });
+  const tree = buildTree("/sequential/s.xml", "sequential", { fs: courseFs });
+
+  test("builds inline verticals and components in place", () => {
+    const [vertical] = tree.children;
+    expect(vertical.display_name).toBe("Inline unit");
+    expect(vertical.children.map((c) => [c.type, c.inline ?? false])).toEqual([
+      ["html", true],
+      ["problem", true],
+      ["video", true],
+      ["discussion", true],
+      ["html", false],
+    ]);
+  });
+
+  test("renders inline html, problems, videos and discussions", () => {
+    const md = treeToMarkdown(tree, { fs: courseFs });
+
+    expect(md).toContain("# Lesson\n\n## Inline unit\n\n");
+    expect(md).toContain("Inline **notes**");
+    expect(md).toContain("- [(x)] Right\n- [( )] Wrong");
+    expect(md).toContain("!?[Clip](https://www.youtube.com/watch?v=abc)");
+    expect(md).toContain("> **Discussion: Talk** (Week 1)");
+    expect(md).toContain("From a file");
+  });
+});
+
+/*---------------------------------
+Unsupported XBlocks
+----------------------------------*/
+describe("Unsupported components", () => {
+  const courseFs = createMemoryFs({
+    "vertical/v.xml": `<vertical display_name="Unit">
+      <drag-and-drop-v2 url_name="dnd"/>
+      <html url_name="h"/>
+      <lti display_name="External tool" launch_url="https://example.com"/>
+      <drag-and-drop-v2 url_name="dnd2"/>
+    </vertical>`,
+    "drag-and-drop-v2/dnd.xml": `<drag-and-drop-v2 display_name="Sort the shapes"/>`,
+    "html/h.xml": `<html filename="h"/>`,
+    "html/h.html": `<p>Between</p>`,
+  });
+  const tree = buildTree("/vertical/v.xml", "vertical", { fs: courseFs });
+
+  test("keeps unknown XBlocks as placeholder nodes in place", () => {
+    expect(
+      tree.children.map((c) => [c.type, c.tag, c.url_name, c.display_name])
+    ).toEqual([
+      ["unsupported", "drag-and-drop-v2", "dnd", "Sort the shapes"],
+      ["html", undefined, "h", null],
+      ["unsupported", "lti", null, "External tool"],
+      ["unsupported", "drag-and-drop-v2", "dnd2", null],
+    ]);
+    expect(summarizeUnsupported(tree)).toEqual({
+      "drag-and-drop-v2": 2,
+      lti: 1,
+    });
+  });
+
+  test("renders a marked placeholder and counts them in the summary", () => {
+    const md = treeToMarkdown(tree, { fs: courseFs });
+    expect(md).toContain(
+      '> **Unsupported component: `drag-and-drop-v2`** "Sort the shapes" (dnd)'
+    );
+    expect(md).toContain('> **Unsupported component: `lti`** "External tool"');
+
+    const summary = formatSummary([
+      {
+        ok: true,
+        input: "course.tar.gz",
+        name: "org-course-run",
+        unsupported: summarizeUnsupported(tree),
+      },
+    ]);
+    expect(summary).toContain(
+      "org-course-run (course.tar.gz) — unsupported: drag-and-drop-v2 ×2, lti ×1"
+    );
+  });
+});
+
+/*---------------------------------
+Draft content (--include-drafts)
+----------------------------------*/
+describe("Draft content", () => {
+  const courseFs = createMemoryFs({
+    "course.xml": `<course url_name="run"/>`,
+    "course/run.xml": `<course display_name="Course"><chapter url_name="c"/></course>`,
+    "chapter/c.xml": `<chapter display_name="Chapter"><sequential url_name="s"/></chapter>`,
+    "sequential/s.xml": `<sequential display_name="Sequential"><vertical url_name="v1"/><vertical url_name="v2"/></sequential>`,
+    "vertical/v1.xml": `<vertical display_name="First"><html url_name="h1"/></vertical>`,
+    "vertical/v2.xml": `<vertical display_name="Second"><html url_name="h2"/></vertical>`,
+    "html/h1.xml": `<html filename="h1"/>`,
+    "html/h1.html": `<p>Published one</p>`,
+    "html/h2.xml": `<html filename="h2"/>`,
+    "html/h2.html": `<p>Published two</p>`,
+    drafts: {
+      vertical: {
+        "new.xml": `<vertical display_name="New unit" parent_url="block-v1:org+c+run+type@sequential+block@s" index_in_children_list="1"><html url_name="hd"/><html url_name="h1"/></vertical>`,
+        "v2.xml": `<vertical display_name="Second (edited)" parent_url="block-v1:org+c+run+type@sequential+block@s" index_in_children_list="2"><html url_name="h2"/></vertical>`,
+      },
+      html: {
+        "hd.xml": `<html filename="hd"/>`,
+        "hd.html": `<p>Draft text</p>`,
+      },
+    },
+  });
+
+  const unitTitles = (tree) =>
+    tree.children[0].children[0].children.map((v) => [
+      v.display_name,
+      v.draft ?? false,
+    ]);
+
+  test("ignores drafts by default", () => {
+    const tree = loadCourse("/", { fs: courseFs });
+    expect(unitTitles(tree)).toEqual([
+      ["First", false],
+      ["Second", false],
+    ]);
+  });
+
+  test("splices new drafts in and overrides published units", () => {
+    const tree = loadCourse("/", { fs: courseFs, includeDrafts: true });
+    expect(unitTitles(tree)).toEqual([
+      ["First", false],
+      ["New unit", true],
+      ["Second (edited)", true],
+    ]);
+
+    const md = treeToMarkdown(tree, { fs: courseFs });
+    expect(md).toContain(
+      "#### New unit\n\n> **Draft:** this unit has unpublished changes\n\n" +
+        "> **Draft:** this component has unpublished changes\n\nDraft text\n\nPublished one"
+    );
+    expect(md).not.toContain("#### Second\n");
+  });
+
+  test("marks draft components of published units", () => {
+    const editedFs = createMemoryFs({
+      "course.xml": `<course url_name="run"/>`,
+      "course/run.xml": `<course display_name="Course"><chapter url_name="c"/></course>`,
+      "chapter/c.xml": `<chapter display_name="Chapter"><sequential url_name="s"/></chapter>`,
+      "sequential/s.xml": `<sequential display_name="Sequential"><vertical url_name="v"/></sequential>`,
+      "vertical/v.xml": `<vertical display_name="Unit"><html url_name="h"/></vertical>`,
+      "html/h.xml": `<html filename="h"/>`,
+      "html/h.html": `<p>Published text</p>`,
+      drafts: {
+        html: {
+          "h.xml": `<html filename="h"/>`,
+          "h.html": `<p>Draft text</p>`,
+        },
+      },
+    });
+    const md = treeToMarkdown(
+      loadCourse("/", { fs: editedFs, includeDrafts: true }),
+      { fs: editedFs }
+    );
+
+    expect(md).toContain(
+      "#### Unit\n\n> **Draft:** this component has unpublished changes\n\nDraft text"
+    );
+  });
+
+  test("reports drafts that cannot be read", () => {
+    const brokenFs = createMemoryFs({
+      "course.xml": `<course url_name="run"/>`,
+      "course/run.xml": `<course display_name="Course"/>`,
+      drafts: {
+        vertical: {
+          "bad.xml": `<vertical display_name="Bad" parent_url="block-v1:o+c+r+type@sequential+block@s"><html></vertical>`,
+          "lost.xml": `<vertical display_name="Lost"/>`,
+        },
+      },
+    });
+    const report = createReport();
+    loadCourse("/", { fs: brokenFs, includeDrafts: true, report });
+
+    expect(report.entries.map((e) => [e.kind, e.file])).toEqual([
+      ["parse-error", "/drafts/vertical/bad.xml"],
+      ["parse-error", "/drafts/vertical/lost.xml"],
+    ]);
+  });
+
+  test("reads the drafts bundled in the sample export", () => {
+    const archive = "inputcourses/course.0nu25zgw.tar";
+    const archiveFs = readArchive(archive);
+    const md = treeToMarkdown(
+      loadCourse(archive, { fs: archiveFs, includeDrafts: true }),
+      { fs: archiveFs }
+    );
+    expect(md).toContain("This content is not published.");
+  });
+});
+
+/*---------------------------------
+Conversion report
+----------------------------------*/
+describe("Conversion report", () => {
+  const courseFs = createMemoryFs({
+    "course.xml": `<course url_name="run"/>`,
+    "course/run.xml": `<course display_name="Course"><chapter url_name="c"/><chapter url_name="gone"/></course>`,
+    "chapter/c.xml": `<chapter display_name="Week 1"><sequential url_name="s"/></chapter>`,
+    "sequential/s.xml": `<sequential display_name="Lesson"><vertical url_name="v"/></sequential>`,
+    "vertical/v.xml": `<vertical display_name="Unit">
+      <html url_name="h"/>
+      <problem url_name="p"/>
+      <poll url_name="poll1"/>
+    </vertical>`,
+    "html/h.xml": `<html filename="h"/>`,
+    "html/h.html": `<p><img src="/static/there.png"/><img src="/static/gone.png"/>
+      <a href="/static/there.png">ok</a> <a href="/jump_to_id/abc">jump</a>
+      <a href="https://example.com">web</a></p>`,
+    "problem/p.xml": `<problem><p>Unclosed</problem>`,
+    static: { "there.png": "png" },
+  });
+
+  const report = createReport();
+  const tree = loadCourse("/", { fs: courseFs, report });
+  checkReferences(tree, { report, fs: courseFs });
+
+  test("records each issue with its tree path", () => {
+    expect(
+      report.entries.map((e) => [e.kind, e.trail.join(" › "), e.ref])
+    ).toEqual([
+      ["parse-error", "Week 1 › Lesson › Unit", undefined],
+      ["unsupported", "Week 1 › Lesson › Unit", undefined],
+      ["missing-file", "", undefined],
+      ["missing-image", "Week 1 › Lesson › Unit", "/static/gone.png"],
+      ["broken-link", "Week 1 › Lesson › Unit", "/jump_to_id/abc"],
+    ]);
+    expect(report.entries[2].url_name).toBe("gone");
+  });
+
+  test("writes JSON counts and a readable summary", () => {
+    const json = JSON.parse(reportToJson(report, { course: "run" }));
+    expect(json.course).toBe("run");
+    expect(json.counts).toEqual({
+      "missing-file": 1,
+      "parse-error": 1,
+      unsupported: 1,
+      "missing-image": 1,
+      "broken-link": 1,
+      omitted: 0,
+      "markdown-mismatch": 0,
+    });
+
+    const summary = formatReport(report);
+    expect(summary).toContain("5 issue(s) found:");
+    expect(summary).toContain(
+      "Unsupported components (1):\n  - Week 1 › Lesson › Unit: Unsupported component (poll poll1)"
+    );
+    expect(formatReport(createReport())).toBe("No issues found");
+  });
+
+  test("records issues found while rendering under their tree path", () => {
+    const renderFs = createMemoryFs({
+      "course.xml": `<course url_name="run"/>`,
+      "course/run.xml": `<course display_name="Course"><chapter url_name="c"/></course>`,
+      "chapter/c.xml": `<chapter display_name="Week 1"><sequential url_name="s"/></chapter>`,
+      "sequential/s.xml": `<sequential display_name="Lesson"><vertical url_name="v"/></sequential>`,
+      "vertical/v.xml": `<vertical display_name="Unit"><problem url_name="p"/></vertical>`,
+      "problem/p.xml": `<problem><p>Drag the labels</p><drag_and_drop_input/></problem>`,
+    });
+    const renderReport = createReport();
+    treeToMarkdown(loadCourse("/", { fs: renderFs }), {
+      fs: renderFs,
+      report: renderReport,
+    });
+
+    expect(renderReport.entries.map((e) => [e.kind, e.trail])).toEqual([
+      ["omitted", ["Week 1", "Lesson", "Unit"]],
+    ]);
+    expect(formatReport(renderReport)).toContain(
+      "  - Week 1 › Lesson › Unit: Unsupported content omitted (drag_and_drop_input) in /problem/p.xml"
+    );
+  });
+});
+
+/*---------------------------------
+Strict mode
+----------------------------------*/
+describe("Strict mode", () => {
+  const silent = { info: () => {}, debug: () => {}, error: () => {} };
+  let dir;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "olx2md-strict-"));
+    const files = {
+      "course.xml": `<course url_name="run" org="org" course="c"/>`,
+      "course/run.xml": `<course display_name="Course"><chapter url_name="ch"/></course>`,
+      "chapter/ch.xml": `<chapter display_name="Week 1"><sequential url_name="gone"/></chapter>`,
+    };
+    for (const [file, xml] of Object.entries(files)) {
+      fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+      fs.writeFileSync(path.join(dir, file), xml);
+    }
+  });
+
+  afterAll(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  test("converts around lost content by default", async () => {
+    const [result] = await convertAll([dir], { dryRun: true, log: silent });
+    expect(result.ok).toBe(true);
+    expect(result.report.map((e) => e.kind)).toEqual(["missing-file"]);
+  });
+
+  test("fails with the list of lost content when strict", async () => {
+    const [result] = await convertAll([dir], {
+      dryRun: true,
+      strict: true,
+      log: silent,
+    });
+    expect(result.ok).toBe(false);
+    expect(result.error).toContain("Strict mode: 1 issue(s)");
+    expect(result.error).toContain("Week 1: Missing sequential file (gone)");
+  });
+
+  test("fails on problem content the converter omits", () => {
+    const report = createReport();
+    const courseFs = createMemoryFs({
+      "problem/p.xml": `<problem><schematicresponse><schematic/></schematicresponse></problem>`,
+    });
+    treeToMarkdown(buildTree("/problem/p.xml", "problem", { fs: courseFs }), {
+      fs: courseFs,
+      report,
+    });
+    expect(report.entries.map((e) => [e.kind, e.tag])).toEqual([
+      ["omitted", "schematicresponse"],
+    ]);
+    expect(() => assertNoDataLoss(report, "course")).toThrow(ConversionError);
+  });
+
+  test("names the tree path and file of omitted content", () => {
+    const report = createReport();
+    const courseFs = createMemoryFs({
+      "chapter/c.xml": `<chapter display_name="Week 1"><sequential url_name="s"/></chapter>`,
+      "sequential/s.xml": `<sequential display_name="Lesson"><vertical url_name="v"/></sequential>`,
+      "vertical/v.xml": `<vertical display_name="Unit"><problem url_name="p"/></vertical>`,
+      "problem/p.xml": `<problem><schematicresponse><schematic/></schematicresponse></problem>`,
+    });
+    treeToMarkdown(buildTree("/chapter/c.xml", "chapter", { fs: courseFs }), {
+      fs: courseFs,
+      report,
+    });
+
+    expect(() => assertNoDataLoss(report, "course")).toThrow(
+      "  - Week 1 › Lesson › Unit: Unsupported content omitted (schematicresponse) in /problem/p.xml"
+    );
+  });
+
+  test("reports unknown empty elements but not known inputs", () => {
+    const report = createReport();
+    xmlToMarkdown(
+      `<problem><p>Drag the labels</p><drag_and_drop_input img="x.png"/><startouttext/></problem>`,
+      { report }
+    );
+
+    expect(report.entries.map((e) => [e.kind, e.tag])).toEqual([
+      ["omitted", "drag_and_drop_input"],
+    ]);
+  });
+
+  test("fails on an unsupported response even when its prompt is kept", () => {
+    const report = createReport();
+    const output = xmlToMarkdown(
+      `<problem><annotationresponse><label>Annotate this</label><annotationinput/></annotationresponse></problem>`,
+      { report }
+    );
+
+    expect(output).toBe(
+      "Annotate this\n\n> **Unsupported content: annotationresponse component omitted**\n\n"
+    );
+    expect(report.entries.map((e) => [e.kind, e.tag])).toEqual([
+      ["omitted", "annotationresponse"],
+    ]);
+    expect(() => assertNoDataLoss(report, "course")).toThrow(ConversionError);
+  });
+});
+
+/*---------------------------------
+Question bank export
+----------------------------------*/
+describe("Question bank", () => {
+  const checkboxes = readProblem(
+    `<problem display_name="Pick two">
+      <choiceresponse>
+        <label>Which are primes?</label>
+        <description>Pick all that apply.</description>
+        <checkboxgroup>
+          <choice correct="true">2<choicehint selected="true">Yes, 2 is prime</choicehint></choice>
+          <choice correct="false">4<choicehint selected="false">Right to leave it</choicehint></choice>
+          <choice correct="true">5</choice>
+          <compoundhint value="A C">Both primes!</compoundhint>
+        </checkboxgroup>
+      </choiceresponse>
+      <demandhint><hint>Primes have two divisors.</hint></demandhint>
+    </problem>`,
+    { id: "primes" }
+  );
+  const numeric = readProblem(
+    `<problem display_name="Speed"><numericalresponse answer="100">
+      <label>How fast?</label><responseparam type="tolerance" default="5%"/><formulaequationinput/>
+    </numericalresponse></problem>`,
+    { id: "speed" }
+  );
+  const text = readProblem(
+    `<problem display_name="Capital"><stringresponse answer="Paris" type="ci">
+      <label>Capital of France?</label><additional_answer answer="paris, france"/><textline/>
+    </stringresponse></problem>`,
+    { id: "capital" }
+  );
+
+  test("reads problems into a question model", () => {
+    const [question] = checkboxes.questions;
+    expect(question).toMatchObject({
+      id: "primes",
+      type: "checkbox",
+      prompt: "Which are primes?",
+      description: "Pick all that apply.",
+      combinationFeedback: [{ choices: ["A", "C"], feedback: "Both primes!" }],
+    });
+    expect(question.choices).toEqual([
+      {
+        id: "A",
+        text: "2",
+        correct: true,
+        feedback: { selected: "Yes, 2 is prime", unselected: null },
+      },
+      {
+        id: "B",
+        text: "4",
+        correct: false,
+        feedback: { selected: null, unselected: "Right to leave it" },
+      },
+      {
+        id: "C",
+        text: "5",
+        correct: true,
+        feedback: { selected: null, unselected: null },
+      },
+    ]);
+    expect(checkboxes.hints).toEqual(["Primes have two divisors."]);
+
+    expect(numeric.questions[0]).toMatchObject({
+      answers: ["100"],
+      tolerance: { type: "relative", value: 5 },
+    });
+    expect(text.questions[0]).toMatchObject({
+      answers: ["Paris", "paris, france"],
+      caseSensitive: false,
+      regexp: false,
+    });
+    expect(JSON.parse(toJson([text])).problems[0].id).toBe("capital");
+  });
+
+  test("reads answers the same way as the Markdown converter", () => {
+    const xml = `<problem><stringresponse answer=" Paris ">
+      <additional_answer answer=""/><additional_answer> paris, france </additional_answer><textline/>
+    </stringresponse></problem>`;
+
+    expect(readProblem(xml, { id: "p" }).questions[0].answers).toEqual([
+      "Paris",
+      "paris, france",
+    ]);
+    expect(xmlToMarkdown(xml)).toContain(
+      '["Paris","paris, france"].includes(input)'
+    );
+  });
+
+  test("exports GIFT questions", () => {
+    const gift = toGift([checkboxes, numeric, text]);
+    expect(gift).toContain(
+      "::Pick two::Which are primes?\\n\\nPick all that apply. {\n  ~%50%2 #Yes, 2 is prime\n  ~%-100%4\n  ~%50%5\n}"
+    );
+    expect(gift).toContain("::Speed::How fast? {\n  #100:5\n}");
+    expect(gift).toContain("=Paris =paris, france");
+    expect(gift).not.toContain("case-sensitive");
+  });
+
+  test("notes case-sensitive text answers in GIFT", () => {
+    const exact = readProblem(
+      `<problem display_name="Symbol"><stringresponse answer="Fe">
+        <label>Symbol of iron?</label><textline/>
+      </stringresponse></problem>`,
+      { id: "symbol" }
+    );
+
+    expect(toGift([exact])).toBe(
+      "// Symbol: answers are case-sensitive in edX but not in GIFT\n" +
+        "::Symbol::Symbol of iron? {\n  =Fe\n}\n"
+    );
+  });
+
+  test("exports a QTI 2.1 package", () => {
+    const [manifest, ...items] = toQti([checkboxes, numeric, text]);
+    expect(manifest.file).toBe("imsmanifest.xml");
+    expect(items.map((item) => item.file)).toEqual([
+      "items/Q_primes.xml",
+      "items/Q_speed.xml",
+      "items/Q_capital.xml",
+    ]);
+    expect(manifest.content).toContain('href="items/Q_speed.xml"');
+    expect(items[0].content).toContain('cardinality="multiple"');
+    expect(items[0].content).toContain(
+      "<value>A</value>\n      <value>C</value>"
+    );
+    expect(items[1].content).toContain(
+      '<equal toleranceMode="relative" tolerance="5 5">'
+    );
+    expect(items[2].content).toContain(
+      '<stringMatch caseSensitive="false"><variable identifier="RESPONSE"/><baseValue baseType="string">paris, france</baseValue></stringMatch>'
+    );
+  });
+
+  test("exports regexp answers as XML Schema patterns in QTI", () => {
+    const pattern = (id, answer, type) =>
+      readProblem(
+        `<problem display_name="${id}"><stringresponse answer="${answer}" type="${type}"><textline/></stringresponse></problem>`,
+        { id }
+      );
+    const [manifest, ...items] = toQti([
+      pattern("plural", "^cats?$", "regexp"),
+      pattern("word", "^dog$", "regexp"),
+      pattern("anycase", "^cat$", "ci regexp"),
+    ]);
+
+    expect(items.map((item) => item.file)).toEqual([
+      "items/Q_plural.xml",
+      "items/Q_word.xml",
+    ]);
+    expect(items[0].content).toContain('<patternMatch pattern="cats?">');
+    expect(items[0].content).not.toContain("<correctResponse>");
+    expect(items[1].content).toContain("<value>dog</value>");
+    expect(manifest.content).toContain(
+      "<!-- anycase: text question cannot be expressed in QTI -->"
+    );
+  });
+
+  test("gives inline problems of one vertical their own ids", () => {
+    const courseFs = createMemoryFs({
+      "vertical/v.xml": `<vertical display_name="Unit">
+        <problem><stringresponse answer="a"><textline/></stringresponse></problem>
+        <problem><stringresponse answer="b"><textline/></stringresponse></problem>
+      </vertical>`,
+    });
+    const problems = collectProblems(
+      buildTree("/vertical/v.xml", "vertical", { fs: courseFs }),
+      courseFs
+    );
+    expect(problems.map((problem) => problem.id)).toEqual(["v", "v_2"]);
+
+    const [manifest, ...items] = toQti(problems);
+    expect(items.map((item) => item.file)).toEqual([
+      "items/Q_v.xml",
+      "items/Q_v_2.xml",
+    ]);
+    expect(manifest.content.match(/<resource /g)).toHaveLength(2);
+  });
+});
+
+/*---------------------------------
+Choice and compound hints as answer feedback
+----------------------------------*/
+describe("Problem walker", () => {
+  test("names choices in plain text in their feedback", () => {
+    const output = xmlToMarkdown(`<problem><multiplechoiceresponse><choicegroup>
+      <choice correct="true">B <b>bold</b><choicehint>Right</choicehint></choice>
+      <choice correct="false">A</choice>
+    </choicegroup></multiplechoiceresponse></problem>`);
+
+    expect(output).toContain("- [(x)] B **bold**\n");
+    expect(output).toContain("- When you select **B bold**: Right");
+  });
+
+  test("reads plain text with line breaks as spaces", () => {
+    const [label] = parseXmlDom("<label>First line<br/>second   line</label>");
+    expect(textOf(label)).toBe("First line second line");
+  });
+
+  test("keeps problem text, prompt and choices in authored order", () => {
+    const output = xmlToMarkdown(`<problem>
+      <p>Read the <strong>question</strong> carefully.</p>
+      <p>You can use this template as a guide to the simple editor markdown and OLX markup to use for multiple choice problems.</p>
+      <multiplechoiceresponse>
+        <label>Which colour is the sky?</label>
+        <description>Pick one</description>
+        <choicegroup>
+          <choice correct="false">Green</choice>
+          <choice correct="true">Blue <code>#00f</code></choice>
+        </choicegroup>
+        <p>Look up if unsure.</p>
+      </multiplechoiceresponse>
+    </problem>`);
+
+    expect(output.trim()).toBe(
+      "Read the **question** carefully.\n\n" +
+        "Which colour is the sky?\n\nPick one\n\n" +
+        "- [( )] Green\n- [(x)] Blue `#00f`\n\n" +
+        "Look up if unsure."
+    );
+  });
+
+  test("renders dropdowns written inside a paragraph", () => {
+    const output = xmlToMarkdown(`<problem><optionresponse>
+      <p>The capital of France is <optioninput>
+        <option correct="false">Lyon</option>
+        <option correct="true">Paris</option>
+      </optioninput></p>
+    </optionresponse></problem>`);
+
+    expect(output).toContain(
+      "The capital of France is\n\n[[Lyon\n| (Paris)\n]]"
+    );
+  });
+
+  test("renders dropdowns written as an options attribute", () => {
+    const report = createReport();
+    const output = xmlToMarkdown(
+      `<problem><optionresponse><label>Colour?</label>
+        <optioninput options="('red','blue','it\\'s grey')" correct="blue"/>
+      </optionresponse></problem>`,
+      { report }
+    );
+
+    expect(output).toBe("Colour?\n\n[[red\n| (blue)\n| it's grey\n]]\n\n");
+    expect(report.entries).toEqual([]);
+  });
+
+  test("reports dropdowns without options as omitted", () => {
+    const report = createReport();
+    const output = xmlToMarkdown(
+      `<problem><optionresponse><label>Colour?</label><optioninput/></optionresponse></problem>`,
+      { report }
+    );
+
+    expect(output).toContain(
+      "> **Unsupported content: optioninput component omitted**"
+    );
+    expect(report.entries.map((e) => [e.kind, e.tag])).toEqual([
+      ["omitted", "optioninput"],
+    ]);
+  });
+});
+
+describe("Answer feedback", () => {
+  const xml = `
+    <problem>
+      <choiceresponse>
+        <checkboxgroup>
+          <choice correct="true">Red<choicehint selected="true">Red is right</choicehint><choicehint selected="false">You missed red</choicehint></choice>
+          <choice correct="false">Blue</choice>
+          <choice correct="true">Green</choice>
+          <compoundhint value="A C">Both colours!</compoundhint>
+        </checkboxgroup>
+      </choiceresponse>
+      <demandhint><hint>Think of traffic lights</hint></demandhint>
+    </problem>`;
+  test("renders a LiaScript solution block after the quiz and its hints", () => {
+    const output = xmlToMarkdown(xml);
+    const stars = "*".repeat(40);
+
+    expect(output).toContain(
+      `- [[?]] Think of traffic lights\n${stars}\n\n**Feedback**\n\n` +
+        "- When you select **Red**: Red is right\n" +
+        "- When you leave out **Red**: You missed red\n" +
+        "- When you select exactly **Red + Green**: Both colours!\n\n" +
+        stars
+    );
+  });
+
+  test("uses collapsible blocks in plain Markdown", () => {
+    const courseFs = createMemoryFs({ "problem/p.xml": xml });
+    const tree = buildTree("/problem/p.xml", "problem", { fs: courseFs });
+    const output = treeToMarkdown(tree, { fs: courseFs, flavor: "plain" });
+
+    expect(output).toContain(
+      "<details>\n<summary>Feedback</summary>\n\n- When you select **Red**: Red is right"
+    );
+  });
+
+  test("keeps multiple choice feedback on the chosen answer", () => {
+    const output = xmlToMarkdown(`<problem><choicegroup>
+        <choice correct="false">No<choicehint>Not this one</choicehint></choice>
+        <choice correct="true">Yes</choice>
+      </choicegroup></problem>`);
+
+    expect(output).toContain("- [( )] No\n- [(x)] Yes\n");
+    expect(output).toContain("- When you select **No**: Not this one");
+  });
+});
+
+describe("Numerical answers", () => {
+  const numerical = (answer, tolerance) =>
+    xmlToMarkdown(`<problem><numericalresponse answer="${answer}">
+        <label>How far?</label>
+        ${tolerance ? `<responseparam type="tolerance" default="${tolerance}"/>` : ""}
+        <formulaequationinput/>
+      </numericalresponse></problem>`);
+
+  test("keeps exact answers as a plain quiz", () => {
+    expect(numerical("100")).toContain("[[100]]\n");
+    expect(numerical("100")).not.toContain("<script>");
+  });
+
+  test("checks absolute and percentage tolerances with a script", () => {
+    expect(numerical("100", "5")).toContain(
+      '[[100]]\n<script>\n  let input = parseFloat("@input");\n  input >= 95 && input <= 105\n</script>'
+    );
+    expect(numerical("200", "5%")).toContain("input >= 190 && input <= 210");
+  });
+
+  test("checks ranges and formula answers", () => {
+    expect(numerical("[5, 7)")).toContain(
+      '[[6]]\n<script>\n  let input = parseFloat("@input");\n  input >= 5 && input < 7\n</script>'
+    );
+    expect(numerical("10/4", "0.1")).toContain("input >= 2.4 && input <= 2.6");
+  });
+
+  test("leaves answers computed by a grading script to manual grading", () => {
+    expect(numerical("$computed")).not.toContain("[[");
+    expect(numerical("$computed")).toContain(
+      "> **Manual grading:** the expected number is computed by a script in edX, so check answers by hand."
+    );
+  });
+
+  test("writes the accepted range out in plain Markdown", () => {
+    const courseFs = createMemoryFs({
+      "problem/p.xml": `<problem><numericalresponse answer="100">
+        <responseparam type="tolerance" default="5%"/>
+        <formulaequationinput/>
+      </numericalresponse></problem>`,
+    });
+    const tree = buildTree("/problem/p.xml", "problem", { fs: courseFs });
+    const output = treeToMarkdown(tree, { fs: courseFs, flavor: "plain" });
+
+    expect(output).toContain(
+      "[[100]]\n\n*Accepted answers: 95 ≤ answer ≤ 105*"
+    );
+  });
+
+  test("only evaluates plain math in formulas", () => {
+    expect(evaluateFormula("2^3 + sqrt(4)")).toBe(10);
+    expect(evaluateFormula("process.exit(1)")).toBeNaN();
+    expect(numericRange("(1, 2]")).toEqual({
+      min: 1,
+      max: 2,
+      minInclusive: false,
+      maxInclusive: true,
+    });
+  });
+
+  test("exports ranges to GIFT and QTI", () => {
+    const problem = readProblem(
+      `<problem display_name="Range"><numericalresponse answer="[5, 7)">
+        <label>Pick one</label><formulaequationinput/>
+      </numericalresponse></problem>`,
+      { id: "range" }
+    );
+
+    expect(toGift([problem])).toContain("#5..7");
+    const [, item] = toQti([problem]);
+    expect(item.content).toContain(
+      '<and><gte><variable identifier="RESPONSE"/><baseValue baseType="float">5</baseValue></gte>'
+    );
+  });
+});
+
+describe("Text answers", () => {
+  const text = (attrs, extra = "") =>
+    xmlToMarkdown(`<problem><stringresponse answer="Paris" ${attrs}>
+        <label>Capital of France?</label>
+        ${extra}
+        <textline size="20"/>
+      </stringresponse></problem>`);
+
+  test("keeps a single exact answer as a plain quiz", () => {
+    const output = text("");
+    expect(output).toContain("Capital of France?\n\n[[Paris]]\n");
+    expect(output).not.toContain("<script>");
+  });
+
+  test("accepts every additional answer", () => {
+    expect(
+      text(
+        "",
+        `<additional_answer answer="Paris, France"/><additional_answer>City of Light</additional_answer>`
+      )
+    ).toContain(
+      '[[Paris]]\n<script>\n  let input = "@input".trim();\n  ["Paris","Paris, France","City of Light"].includes(input)\n</script>'
+    );
+  });
+
+  test("compares case-insensitive answers in lower case", () => {
+    expect(
+      text('type="ci"', `<additional_answer answer="Lutetia"/>`)
+    ).toContain('["paris","lutetia"].includes(input.toLowerCase())');
+  });
+
+  test("matches regexp answers against the whole input", () => {
+    expect(text('type="ci regexp"')).toContain(
+      '["^(?:Paris)$"].some((pattern) => new RegExp(pattern, "i").test(input))'
+    );
+  });
+
+  test("shows an accepted answer instead of a pattern with alternatives", () => {
+    const output =
+      xmlToMarkdown(`<problem><stringresponse answer="cat|dog" type="regexp">
+        <label>Name a pet</label><textline/>
+      </stringresponse></problem>`);
+
+    expect(output).toContain("Name a pet\n\n[[cat]]\n<script>");
+    expect(output).toContain('["^(?:cat|dog)$"]');
+    expect(
+      xmlToMarkdown(`<problem><stringresponse answer="[ck]at|dog" type="regexp">
+        <textline/>
+      </stringresponse></problem>`)
+    ).toContain("[[\\[ck\\]at\\|dog]]");
+  });
+
+  test("writes the accepted answers out in plain Markdown", () => {
+    const courseFs = createMemoryFs({
+      "problem/p.xml": `<problem><stringresponse answer="Paris" type="ci">
+        <additional_answer answer="Paris, France"/>
+        <textline/>
+      </stringresponse></problem>`,
+    });
+    const tree = buildTree("/problem/p.xml", "problem", { fs: courseFs });
+    const output = treeToMarkdown(tree, { fs: courseFs, flavor: "plain" });
+
+    expect(output).toContain(
+      '[[Paris]]\n\n*Accepted answers: "Paris" or "Paris, France" (not case-sensitive)*'
+    );
+  });
+});
+
+describe("Template boilerplate", () => {
+  const problemXml = `<problem>
+    <choiceresponse>
+      <p>You can use this template as a guide to the simple editor markdown and OLX markup to use for checkboxes.</p>
+      <label>Add the question text, or prompt, here. This text is required.</label>
+      <description>You can add an optional tip or note related to the prompt like this.</description>
+      <checkboxgroup>
+        <choice correct="true">Red<choicehint selected="true">You can specify optional feedback that appears after the learner selects and submits this answer.</choicehint></choice>
+        <choice correct="false">Blue</choice>
+      </checkboxgroup>
+    </choiceresponse>
+    <demandhint>
+      <hint>You can add an optional hint like this. Problems that have a hint include a hint button.</hint>
+      <hint>Think of traffic lights</hint>
+    </demandhint>
+  </problem>`;
+
+  const render = (files, type, options = {}) => {
+    const courseFs = createMemoryFs(files);
+    const file = Object.keys(files)[0];
+    const tree = buildTree(`/${file}`, type, { fs: courseFs });
+    return treeToMarkdown(tree, { fs: courseFs, ...options });
+  };
+
+  test("keeps a prompt that only starts with template text", () => {
+    const output = xmlToMarkdown(`<problem><stringresponse answer="Paris">
+      <label>Add the question text, or prompt, here. This text is required. What is the capital of France?</label>
+      <textline/>
+    </stringresponse></problem>`);
+
+    expect(output).toContain("What is the capital of France?");
+  });
+
+  test("leaves Studio template text out of problems", () => {
+    const output = render({ "problem/p.xml": problemXml }, "problem");
+
+    expect(output).not.toMatch(/You can|Add the question text|Feedback/);
+    expect(output).toContain(
+      "- [[x]] Red\n- [[ ]] Blue\n- [[?]] Think of traffic lights"
+    );
+  });
+
+  test("applies the same patterns to HTML components", () => {
+    const files = {
+      "html/h.xml": `<html filename="h"/>`,
+      "html/h.html": `<p>Welcome!</p><p>DRAFT: check the dates</p>
+        <p>The Raw HTML editor saves your HTML exactly as you enter it.</p>`,
+    };
+
+    expect(render(files, "html").trim()).toBe(
+      "Welcome!\n\nDRAFT: check the dates"
+    );
+    expect(
+      render(files, "html", { boilerplate: [/^DRAFT:/] }).trim()
+    ).toContain("Welcome!\n\nThe Raw HTML editor");
+  });
+
+  test("keeps template text when the filter is turned off", () => {
+    const output = render({ "problem/p.xml": problemXml }, "problem", {
+      boilerplate: [],
+    });
+    expect(output).toContain(
+      "Add the question text, or prompt, here. This text is required."
+    );
+  });
+
+  test("reads patterns as strings or /regex/flags", () => {
+    expect(parseBoilerplatePattern("/^todo/i")).toEqual(/^todo/i);
+    expect(parseBoilerplatePattern("Lorem ipsum")).toBe("Lorem ipsum");
+
+    const global = [parseBoilerplatePattern("/todo/gi")];
+    expect([1, 2, 3, 4].map(() => isBoilerplate("TODO", global))).toEqual([
+      true,
+      true,
+      true,
+      true,
+    ]);
+    expect(isBoilerplate("  TODO:\n write this", [/^todo/i])).toBe(true);
+    expect(isBoilerplate("Real text", ["Lorem ipsum"])).toBe(false);
+    expect(
+      isBoilerplate(
+        "Add the question text, or prompt, here. This text is required. What is the capital of France?"
+      )
+    ).toBe(false);
+  });
+
+  test("leaves template text out of the question bank", () => {
+    const [question] = readProblem(problemXml, { id: "p" }).questions;
+    expect(question.prompt).toBe("");
+    expect(question.description).toBe("");
+    expect(question.choices[0].feedback.selected).toBeNull();
+  });
+});
+
+describe("Multi-part problems", () => {
+  const xml = `<problem>
+    <p>A car travels 100 km in 2 hours.</p>
+    <optionresponse>
+      <label>Is it speeding on a 40 km/h road?</label>
+      <optioninput>
+        <option correct="true">Yes<optionhint>50 is more than 40</optionhint></option>
+        <option correct="false">No</option>
+      </optioninput>
+    </optionresponse>
+    <p>Now work out its speed.</p>
+    <numericalresponse answer="50">
+      <label>Average speed in km/h?</label>
+      <formulaequationinput/>
+    </numericalresponse>
+    <demandhint><hint>Divide distance by time</hint></demandhint>
+  </problem>`;
+
+  test("renders each response as a numbered part after the shared text", () => {
+    const stars = "*".repeat(40);
+
+    expect(xmlToMarkdown(xml)).toBe(
+      "A car travels 100 km in 2 hours.\n\n" +
+        "**Part 1**\n\nIs it speeding on a 40 km/h road?\n\n[[(Yes)\n| No\n]]\n" +
+        `${stars}\n\n**Feedback**\n\n- When you select **Yes**: 50 is more than 40\n\n${stars}\n\n` +
+        "**Part 2**\n\nNow work out its speed.\n\nAverage speed in km/h?\n\n[[50]]\n" +
+        "- [[?]] Divide distance by time\n"
+    );
+  });
+
+  test("keeps two responses of the same type apart", () => {
+    const output = xmlToMarkdown(`<problem>
+      <stringresponse answer="Paris"><label>Capital of France?</label><textline/></stringresponse>
+      <stringresponse answer="Rome"><label>Capital of Italy?</label><textline/></stringresponse>
+    </problem>`);
+
+    expect(output).toBe(
+      "**Part 1**\n\nCapital of France?\n\n[[Paris]]\n\n" +
+        "**Part 2**\n\nCapital of Italy?\n\n[[Rome]]\n"
+    );
+  });
+});
+
+/*---------------------------------
+Problem solutions
+----------------------------------*/
+describe("Problem solutions", () => {
+  const xml = `<problem>
+    <multiplechoiceresponse>
+      <label>What is 2 + 2?</label>
+      <choicegroup type="MultipleChoice">
+        <choice correct="true">4<choicehint>Right</choicehint></choice>
+        <choice correct="false">5</choice>
+      </choicegroup>
+    </multiplechoiceresponse>
+    <solution>
+      <div class="detailed-solution">
+        <p>Explanation</p>
+        <p>Two and <b>two</b> make four.</p>
+      </div>
+    </solution>
+    <demandhint><hint>Count on your fingers</hint></demandhint>
+  </problem>`;
+  const stars = "*".repeat(40);
+
+  test("shows the explanation with the feedback after the quiz", () => {
+    expect(xmlToMarkdown(xml)).toBe(
+      "What is 2 + 2?\n\n- [(x)] 4\n- [( )] 5\n- [[?]] Count on your fingers\n" +
+        `${stars}\n\n**Feedback**\n\n- When you select **4**: Right\n\n` +
+        `**Explanation**\n\nTwo and **two** make four.\n\n${stars}\n`
+    );
+  });
+
+  test("puts the explanation in its own <details> block in plain Markdown", () => {
+    expect(xmlToMarkdown(xml, { flavor: "plain" })).toContain(
+      "</details>\n\n<details>\n<summary>Explanation</summary>\n\n" +
+        "Two and **two** make four.\n\n</details>\n"
+    );
+  });
+
+  test("leaves solutions out when they are turned off", () => {
+    const output = xmlToMarkdown(xml, { solutions: false });
+    expect(output).not.toContain("Explanation");
+    expect(output).not.toContain("make four");
+    expect(output).toContain("**Feedback**");
+  });
+
+  test("parses --no-solutions", () => {
+    expect(
+      parseCliArgs(["convert", "course", "--no-solutions"]).solutions
+    ).toBe(false);
+  });
+});
+
+/*---------------------------------
+Studio problem markdown
+----------------------------------*/
+describe("Problem markdown", () => {
+  const markdown = [
+    "Answer the questions below.",
+    "",
+    ">>Capital of France?||Pick one<<",
+    "( ) Lyon {{ Third largest city }}",
+    "(x) Paris",
+    "",
+    ">>Colour of the sky?<<",
+    "[[red, (blue)]]",
+    "",
+    ">>Legs of a spider?<<",
+    "= 8 +- 0",
+    "",
+    "|| Count them ||",
+  ].join("\n");
+
+  const escape = (value) =>
+    value
+      .replace(/&/g, "&amp;")
+      .replace(/"/g, "&quot;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/\n/g, "&#10;");
+
+  test("parses the simple editor syntax into OLX", () => {
+    expect(serializeXmlDom([parseProblemMarkdown(markdown)])).toBe(
+      "<problem><p>Answer the questions below.</p>" +
+        "<multiplechoiceresponse><label>Capital of France?</label><description>Pick one</description>" +
+        '<choicegroup type="MultipleChoice"><choice correct="false">Lyon<choicehint>Third largest city</choicehint></choice>' +
+        '<choice correct="true">Paris</choice></choicegroup></multiplechoiceresponse>' +
+        "<optionresponse><label>Colour of the sky?</label><optioninput>" +
+        '<option correct="false">red</option><option correct="true">blue</option></optioninput></optionresponse>' +
+        '<numericalresponse answer="8"><label>Legs of a spider?</label>' +
+        '<responseparam type="tolerance" default="0"/><formulaequationinput/></numericalresponse>' +
+        "<demandhint><hint>Count them</hint></demandhint></problem>"
+    );
+  });
+
+  test("reads text answers, checkboxes and explanations", () => {
+    const problem = parseProblemMarkdown(
+      "[x] 2 {{ selected: Prime }, { unselected: 2 is prime }}\n[ ] 4\n" +
+        "{{ ((A B)) Not both }}\n\n= Jupiter\nor= Jove\n\n" +
+        "[explanation]\nJupiter is the largest.\n[explanation]"
+    );
+
+    expect(serializeXmlDom([problem])).toBe(
+      '<problem><choiceresponse><checkboxgroup><choice correct="true">2' +
+        '<choicehint selected="true">Prime</choicehint><choicehint selected="false">2 is prime</choicehint></choice>' +
+        '<choice correct="false">4</choice><compoundhint value="A B">Not both</compoundhint></checkboxgroup></choiceresponse>' +
+        '<stringresponse answer="Jupiter" type="ci"><additional_answer answer="Jove"/><textline size="20"/></stringresponse>' +
+        '<solution><div class="detailed-solution"><p>Explanation</p><p>Jupiter is the largest.</p></div></solution></problem>'
+    );
+  });
+
+  test('converts the markdown when the OLX is empty, ignoring markdown="null"', () => {
+    expect(
+      xmlToMarkdown(`<problem markdown="${escape(markdown)}"/>`)
+    ).toContain("- [( )] Lyon\n- [(x)] Paris\n");
+    expect(
+      xmlToMarkdown('<problem markdown="null"><p>Only OLX</p></problem>')
+    ).toBe("Only OLX\n\n");
+  });
+
+  test("prefers the markdown on request and reports when it disagrees with the OLX", () => {
+    const xml = `<problem markdown="${escape("(x) Paris\n( ) Lyon")}">
+      <multiplechoiceresponse><choicegroup>
+        <choice correct="true">Lyon</choice><choice correct="false">Paris</choice>
+      </choicegroup></multiplechoiceresponse>
+    </problem>`;
+    const report = createReport();
+
+    expect(xmlToMarkdown(xml, { report })).toContain("- [(x)] Lyon");
+    expect(xmlToMarkdown(xml, { preferMarkdown: true })).toContain(
+      "- [(x)] Paris"
+    );
+    expect(
+      readProblem(xml, {}, { preferMarkdown: true }).questions[0].choices[0]
+    ).toMatchObject({ text: "Paris", correct: true });
+    expect(report.entries).toEqual([
+      expect.objectContaining({
+        kind: "markdown-mismatch",
+        message:
+          'Problem markdown does not match its OLX: question 1 accepts "Lyon" in the OLX but "Paris" in the markdown',
+      }),
+    ]);
+  });
+});
+
+/*---------------------------------
+Formula, script and image responses
+----------------------------------*/
+describe("Other response types", () => {
+  test("renders formula answers as a quiz that ignores spaces", () => {
+    const xml = `<problem>
+      <formularesponse answer="x^2 + 1" type="ci">
+        <label>Write f(x)</label>
+        <responseparam type="tolerance" default="0.001"/>
+        <formulaequationinput/>
+      </formularesponse>
+    </problem>`;
+
+    expect(xmlToMarkdown(xml)).toBe(
+      "Write f(x)\n\n[[x^2 + 1]]\n<script>\n" +
+        '  let input = "@input".replace(/\\s+/g, "").toLowerCase();\n' +
+        '  input === "x^2+1"\n</script>\n'
+    );
+    expect(xmlToMarkdown(xml, { flavor: "plain" })).toBe(
+      "Write f(x)\n\n[[x^2 + 1]]\n\n*Accepted answers: any formula equal to `x^2 + 1`*\n"
+    );
+  });
+
+  test("embeds JavaScript inputs and marks script grading as manual", () => {
+    const output = xmlToMarkdown(`<problem>
+      <customresponse cfn="grade">
+        <label>Use the slider</label>
+        <jsinput gradefn="getGrade" html_file="/static/slider.html" width="400" height="300"/>
+      </customresponse>
+    </problem>`);
+
+    expect(output).toBe(
+      "Use the slider\n\n" +
+        '<iframe src="../images/slider.html" width="400" height="300"></iframe>\n\n' +
+        "> **Manual grading:** edX checked this answer with a grading script, which cannot run here.\n"
+    );
+  });
+
+  test("escapes the attributes of embedded JavaScript inputs", () => {
+    const output = xmlToMarkdown(
+      `<problem><customresponse cfn="grade"><jsinput html_file="/static/a&amp;b.html" width='40" onload="x'/></customresponse></problem>`
+    );
+
+    expect(output).toContain(
+      '<iframe src="../images/a&amp;b.html" width="40&quot; onload=&quot;x"></iframe>'
+    );
+  });
+
+  test("does not count a JavaScript input as a question of its own", () => {
+    const problem = readProblem(
+      `<problem><p>Try it</p><jsinput html_file="/static/a.html"/></problem>`,
+      { id: "js" }
+    );
+
+    expect(problem.questions).toEqual([]);
+    expect(problem.unsupported).toEqual([]);
+  });
+
+  test("shows the image of an image response with its correct areas", () => {
+    const output = xmlToMarkdown(
+      `<problem><imageresponse>
+        <label>Click the cat</label>
+        <imageinput src="/static/cats.png" rectangle="(10,20)-(50,60)"/>
+      </imageresponse></problem>`,
+      { imagesPath: "img" }
+    );
+
+    expect(output).toBe(
+      "Click the cat\n\n![Image](img/cats.png)\n\n" +
+        "> **Manual grading:** learners answer by clicking the image in edX. " +
+        "The correct answer is the rectangle from (10, 20) to (50, 60) (in pixels from the top left corner).\n"
+    );
+  });
+});
+
+/*---------------------------------
+MathJax math
+----------------------------------*/
+describe("MathJax math", () => {
+  test("keeps every way of writing math away from the escaper", () => {
+    const { html, restore } = protectMath(
+      "<p>\\(x_1\\), \\[y_2\\], [mathjaxinline]a_b[/mathjaxinline], [mathjax]c_d[/mathjax], " +
+        '<script type="math/tex">e_f</script>, <script type="math/tex; mode=display">g_h</script></p>'
+    );
+
+    expect(html).not.toMatch(/_|script|mathjax\]/);
+    expect(restore(html)).toBe(
+      "<p>$x_1$, $$y_2$$, $a_b$, $$c_d$$, $e_f$, $$g_h$$</p>"
+    );
+  });
+
+  test("converts math in problem text, prompts and choices", () => {
+    const output = xmlToMarkdown(`<problem>
+      <p>Let \\(x_1 &lt; y_2\\) and <script type="math/tex">a_b</script> be_given.</p>
+      <multiplechoiceresponse>
+        <label>Is \\(\\alpha_1\\) small?</label>
+        <choicegroup>
+          <choice correct="true">[mathjaxinline]\\alpha_1 = 0[/mathjaxinline]</choice>
+          <choice correct="false">\\(\\beta\\)</choice>
+        </choicegroup>
+      </multiplechoiceresponse>
+    </problem>`);
+
+    expect(output).toBe(
+      "Let $x_1 < y_2$ and $a_b$ be\\_given.\n\n" +
+        "Is $\\alpha_1$ small?\n\n- [(x)] $\\alpha_1 = 0$\n- [( )] $\\beta$\n"
+    );
+  });
+
+  test("converts display math in HTML components", () => {
+    const courseFs = createMemoryFs({
+      "html/area.html": "<p>Area:</p><p>\\[ A = \\pi r^2 \\]</p>",
+    });
+
+    expect(
+      treeToMarkdown(
+        { type: "htmlContent", file: "/html/area.html" },
+        { fs: courseFs }
+      )
+    ).toBe("Area:\n\n$$A = \\pi r^2$$\n\n");
   });
 });